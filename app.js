@@ -1,8 +1,13 @@
 const express = require('express');
 const logger = require('morgan');
-const NodeCache = require('node-cache');
 const cookieParser = require('cookie-parser');
 const authenticate = require('./middleware/authenticate');
+const createTileSessionStore = require('./utils/tile-session-store');
+const createTileCache = require('./utils/tile-cache');
+const createExportStorage = require('./utils/export-storage');
+const createExportJobs = require('./utils/export-jobs');
+const createSessionRevocations = require('./utils/session-revocations');
+const createIdentityProvider = require('./utils/identity-providers');
 
 // use .env for local environment variables
 require('dotenv').config();
@@ -15,13 +20,61 @@ const pgp = require('pg-promise')({
   query(e) {
      (process.env.DEBUG === 'true') ? console.log(e.query) : null; // eslint-disable-line
   },
+  // projects cursors hold their sort keys as text, so floats like distances and relevance need every
+  // digit to round trip. Before PostgreSQL 12, floats are only output with every digit with this set
+  connect(client, dc, useCount) {
+    if (useCount === 0) client.query('SET extra_float_digits = 3');
+  },
 });
 
 // initialize database connection
 app.db = pgp(process.env.DATABASE_URL);
 
-// use node-cache to store SQL queries
-app.tileCache = new NodeCache({ stdTTL: 3600 });
+// store tile SQL queries in memory (default) or in postgres, set by TILE_SESSION_STORE
+app.tileSessions = createTileSessionStore(app.db, {
+  type: process.env.TILE_SESSION_STORE,
+  ttl: process.env.TILE_SESSION_TTL,
+});
+
+// cache rendered vector tiles until normalized_projects is refreshed
+app.tileCache = createTileCache(app.db, {
+  ttl: process.env.TILE_CACHE_TTL,
+  versionCheckInterval: process.env.TILE_CACHE_VERSION_CHECK_INTERVAL,
+  maxKeys: process.env.TILE_CACHE_MAX_KEYS,
+});
+
+// keep finished export files on local disk (default) or in s3, set by EXPORT_STORAGE
+app.exportStorage = createExportStorage({
+  type: process.env.EXPORT_STORAGE,
+  dir: process.env.EXPORT_DIR,
+  bucket: process.env.EXPORT_S3_BUCKET,
+  prefix: process.env.EXPORT_S3_PREFIX,
+});
+
+// queue of background export jobs, started with the server in bin/www
+app.exportJobs = createExportJobs(app.db, app.exportStorage, {
+  ttl: process.env.EXPORT_TTL,
+  timeout: process.env.EXPORT_TIMEOUT,
+  concurrency: process.env.EXPORT_CONCURRENCY,
+  pollInterval: process.env.EXPORT_POLL_INTERVAL,
+});
+
+// verifies the access tokens /login is called with, set by IDENTITY_PROVIDER
+app.identityProvider = createIdentityProvider({
+  type: process.env.IDENTITY_PROVIDER,
+  secret: process.env.NYCID_CONSOLE_PASSWORD,
+  issuer: process.env.OIDC_ISSUER,
+  audience: process.env.OIDC_AUDIENCE,
+  jwksUrl: process.env.OIDC_JWKS_URL,
+  emailClaim: process.env.OIDC_EMAIL_CLAIM,
+  enabled: process.env.LOCAL_IDENTITY_PROVIDER_ENABLED === 'true',
+  usersFile: process.env.LOCAL_IDENTITY_USERS,
+});
+
+// sessions ended by POST /logout, checked by the authenticate middleware
+app.sessionRevocations = createSessionRevocations(app.db, {
+  cacheTtl: process.env.SESSION_REVOCATION_CACHE_TTL,
+});
 
 // allows CORS
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:4200', 'http://localhost:3000'];
@@ -44,16 +97,26 @@ app.all('*', (req, res, next) => {
 app.use(cookieParser());
 app.use(authenticate);
 app.use(logger('dev'));
-app.use(express.json());
+// large enough for the `within` polygons POSTed to /projects
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // import routes
 app.use('/projects.:filetype', require('./routes/projects/download'));
 app.use('/projects', require('./routes/projects'));
+app.use('/actions', require('./routes/project-records')('actions'));
+app.use('/milestones', require('./routes/project-records')('milestones'));
+app.use('/dispositions', require('./routes/project-records')('dispositions'));
 app.use('/dispositions/:id', require('./routes/dispositions/create'));
+app.use('/boundaries', require('./routes/boundaries'));
+app.use('/calendar.ics', require('./routes/calendar'));
+app.use('/changes', require('./routes/changes'));
 app.use('/ceqr', require('./routes/ceqr'));
 app.use('/export', require('./routes/export'));
+app.use('/exports', require('./routes/exports'));
 app.use('/login', require('./routes/login'));
+app.use('/logout', require('./routes/logout'));
+app.use('/saved-searches', require('./routes/saved-searches'));
 app.use('/users', require('./routes/users'));
 
 app.use((req, res) => {
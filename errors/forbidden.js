@@ -0,0 +1,9 @@
+const UnauthError = require('./unauth');
+
+class ForbiddenError extends UnauthError {
+  constructor(message) {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+module.exports = ForbiddenError;
@@ -0,0 +1,9 @@
+const BadRequestError = require('./bad-request');
+
+class NotFoundError extends BadRequestError {
+  constructor(message) {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+module.exports = NotFoundError;
@@ -1,8 +1,8 @@
 const BadRequestError = require('./bad-request');
 
 class UnauthError extends BadRequestError {
-  constructor(message) {
-    super(message, 401, 'UNAUTH');
+  constructor(message, status = 401, errorCode = 'UNAUTH') {
+    super(message, status, errorCode);
   }
 }
 
@@ -1,15 +1,22 @@
 /* eslint-disable consistent-return */
 
 const jwt = require('jsonwebtoken');
+const { sessionCookieOptions } = require('../utils/sessions');
 
 const { CRM_SIGNING_SECRET } = process.env;
 
+function proceedNoAuth(res, next) {
+  res.clearCookie('token', sessionCookieOptions());
+  next();
+}
+
 /**
  * Requires cookie-parser middleware earlier in the middleware chain.
  * Attempts to parse valid session from token cookie; if unable, proceeds with
- * un-authorized request.
+ * un-authorized request. Sessions revoked by POST /logout, and tokens without a
+ * session id, which can't be revoked, are un-authorized too.
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   req.session = false;
 
   const { token } = req.cookies;
@@ -21,6 +28,11 @@ function authenticate(req, res, next) {
 
   try {
     const sessionData = jwt.verify(token, CRM_SIGNING_SECRET);
+
+    if (!sessionData.sid || await req.app.sessionRevocations.isRevoked(sessionData.sid)) {
+      return proceedNoAuth(res, next);
+    }
+
     req.session = sessionData;
     next();
   } catch (e) {
@@ -29,9 +41,4 @@ function authenticate(req, res, next) {
   }
 }
 
-function proceedNoAuth(res, next) {
-  res.clearCookie('token');
-  next();
-}
-
 module.exports = authenticate;
@@ -0,0 +1,84 @@
+const findServiceToken = require('../utils/service-tokens');
+const { sendError } = require('../utils/json-api');
+const UnauthError = require('../errors/unauth');
+const ForbiddenError = require('../errors/forbidden');
+
+// contacts whose sessions may use admin routes
+const adminContactIds = () => (process.env.ADMIN_CONTACT_IDS || '').split(',').filter(Boolean);
+
+const hasScope = (serviceToken, scope) => !!serviceToken
+  && (serviceToken.scopes.includes(scope) || serviceToken.scopes.includes('admin'));
+
+/**
+ * Lookup map of route requirements, keyed by name.
+ * Each checks the request's session, from middleware/authenticate.js, and service token.
+ * `service:<scope>` requires a service token with that scope, or the admin scope.
+ */
+const REQUIREMENTS = {
+  public: () => true,
+  authenticated: ({ session }) => !!(session && session.contactId),
+  // the session's active identity has a land use participant role
+  lup: ({ session }) => !!(session && session.contactId && session.roles && session.roles.length),
+  admin: ({ session, serviceToken }) => !!(session && adminContactIds().includes(session.contactId))
+    || hasScope(serviceToken, 'admin'),
+};
+
+const requirementCheck = (requirement) => {
+  const [name, scope] = requirement.split(':');
+
+  if (name === 'service' && scope) return ({ serviceToken }) => hasScope(serviceToken, scope);
+  if (REQUIREMENTS[name] && !scope) return REQUIREMENTS[name];
+
+  throw new Error(`Unknown route requirement ${requirement}, must be one of ${Object.keys(REQUIREMENTS).join(', ')} or service:<scope>`);
+};
+
+// the service token sent in an `Authorization: Bearer` header, or null if there's no header
+const bearerServiceToken = async (req) => {
+  const authorization = req.get('Authorization');
+  if (!authorization) return null;
+
+  const [scheme, token] = authorization.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthError('Invalid Authorization header, must be a Bearer token');
+  }
+
+  const serviceToken = await findServiceToken(req.app.db, token);
+
+  if (!serviceToken) {
+    throw new UnauthError('Invalid or expired service token');
+  }
+
+  return serviceToken;
+};
+
+/**
+ * Requires authenticate middleware earlier in the middleware chain.
+ * Declares what a route requires, passing requests that meet any of the requirements, e.g.
+ * `authorize('admin', 'service:geometries')`. Other requests get a 401 if they have no session or
+ * service token, or a 403 if theirs isn't allowed. Adds the request's `serviceToken`.
+ * @param {...string} requirements - names in REQUIREMENTS, or service:<scope>
+ * @returns {Function} express middleware
+ */
+function authorize(...requirements) {
+  const checks = requirements.map(requirementCheck);
+
+  return async (req, res, next) => {
+    try {
+      req.serviceToken = await bearerServiceToken(req);
+
+      if (checks.some(check => check(req))) return next();
+
+      if (!req.session && !req.serviceToken) {
+        throw new UnauthError('Authentication required for this route');
+      }
+
+      throw new ForbiddenError('Not authorized for this route');
+    } catch (e) {
+      return sendError(res, e, 'Unable to authorize request');
+    }
+  };
+}
+
+module.exports = authorize;
+module.exports.REQUIREMENTS = REQUIREMENTS;
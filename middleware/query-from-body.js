@@ -0,0 +1,25 @@
+// query string values are always strings, so body numbers and booleans are converted to match
+const asQueryValue = (value) => {
+  if (Array.isArray(value)) return value.map(asQueryValue);
+  if (typeof value === 'number' || typeof value === 'boolean') return `${value}`;
+
+  return value;
+};
+
+/**
+ * Requires express.json middleware earlier in the middleware chain.
+ * Lets a POST route take the same params as its GET query string, for filters that
+ * are too large for a URL, like a `within` polygon. Body params override query params.
+ */
+function queryFromBody(req, res, next) {
+  const body = req.body || {};
+
+  req.query = Object.keys(body).reduce((query, param) => ({
+    ...query,
+    [param]: asQueryValue(body[param]),
+  }), req.query);
+
+  next();
+}
+
+module.exports = queryFromBody;
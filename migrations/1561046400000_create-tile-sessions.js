@@ -0,0 +1,33 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  pgm.createTable('tile_sessions', {
+    id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+    },
+    tile_query: {
+      type: 'text',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    expires_at: {
+      type: 'timestamp',
+      notNull: true,
+    },
+  });
+
+  pgm.createIndex(
+    'tile_sessions',
+    'expires_at',
+    {
+      name: 'tile_sessions_expires_at_index',
+      method: 'btree',
+    },
+  );
+};
@@ -0,0 +1,24 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  pgm.createTable('data_versions', {
+    name: {
+      type: 'varchar(64)',
+      notNull: true,
+      primaryKey: true,
+    },
+    version: {
+      type: 'integer',
+      notNull: true,
+      default: 1,
+    },
+    updated_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // bumped by scripts/refresh-materialized-view.js after every refresh
+  pgm.sql("INSERT INTO data_versions (name) VALUES ('normalized_projects')");
+};
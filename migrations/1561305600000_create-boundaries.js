@@ -0,0 +1,46 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // administrative boundaries projects can be filtered by, loaded by scripts/import-boundaries.js.
+  // a boundary can span several rows, e.g. every polygon of one zoning district
+  pgm.createTable('boundaries', {
+    type: {
+      type: 'varchar(40)',
+      notNull: true,
+    },
+    id: {
+      type: 'varchar(40)',
+      notNull: true,
+    },
+    name: {
+      type: 'text',
+    },
+    geom: {
+      type: 'geometry(multipolygon, 4326)',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.createIndex(
+    'boundaries',
+    ['type', 'id'],
+    {
+      name: 'boundaries_type_id_index',
+      method: 'btree',
+    },
+  );
+
+  pgm.createIndex(
+    'boundaries',
+    'geom',
+    {
+      name: 'boundaries_geom_index',
+      method: 'gist',
+    },
+  );
+};
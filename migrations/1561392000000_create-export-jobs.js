@@ -0,0 +1,78 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  pgm.createTable('export_jobs', {
+    id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+    },
+    format: {
+      type: 'varchar(20)',
+      notNull: true,
+    },
+    // projects SQL of the format's sqlType, built from the request's filters
+    projects_query: {
+      type: 'text',
+      notNull: true,
+    },
+    // one of queued, running, completed or failed
+    status: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'queued',
+    },
+    total_rows: {
+      type: 'integer',
+    },
+    rows_written: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+    error: {
+      type: 'text',
+    },
+    // where the finished file is kept in export storage
+    file_key: {
+      type: 'text',
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    started_at: {
+      type: 'timestamp',
+    },
+    completed_at: {
+      type: 'timestamp',
+    },
+    // updated while a job runs, so jobs whose process stopped can be told apart from long running jobs
+    heartbeat_at: {
+      type: 'timestamp',
+    },
+    expires_at: {
+      type: 'timestamp',
+      notNull: true,
+    },
+  });
+
+  pgm.createIndex(
+    'export_jobs',
+    ['status', 'created_at'],
+    {
+      name: 'export_jobs_status_index',
+      method: 'btree',
+    },
+  );
+
+  pgm.createIndex(
+    'export_jobs',
+    'expires_at',
+    {
+      name: 'export_jobs_expires_at_index',
+      method: 'btree',
+    },
+  );
+};
@@ -0,0 +1,92 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // the last recorded fields of each tracked project, milestone and action
+  pgm.createTable('record_snapshots', {
+    record_type: {
+      type: 'varchar(20)',
+      notNull: true,
+      primaryKey: true,
+    },
+    record_id: {
+      type: 'text',
+      notNull: true,
+      primaryKey: true,
+    },
+    project_id: {
+      type: 'text',
+      notNull: true,
+    },
+    record_name: {
+      type: 'text',
+    },
+    fields: {
+      type: 'jsonb',
+      notNull: true,
+    },
+    updated_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // field-level changes found on each refresh of normalized_projects
+  pgm.createTable('record_changes', {
+    id: 'bigserial',
+    record_type: {
+      type: 'varchar(20)',
+      notNull: true,
+    },
+    record_id: {
+      type: 'text',
+      notNull: true,
+    },
+    project_id: {
+      type: 'text',
+      notNull: true,
+    },
+    record_name: {
+      type: 'text',
+    },
+    // one of created, updated or deleted
+    change_type: {
+      type: 'varchar(10)',
+      notNull: true,
+    },
+    // null when a whole record is created or deleted
+    field: {
+      type: 'text',
+    },
+    old_value: {
+      type: 'jsonb',
+    },
+    new_value: {
+      type: 'jsonb',
+    },
+    // milliseconds, like the changed_at sent to clients, so polling since= the last change seen excludes it
+    changed_at: {
+      type: 'timestamp(3)',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.createIndex(
+    'record_changes',
+    ['project_id', 'changed_at'],
+    {
+      name: 'record_changes_project_id_index',
+      method: 'btree',
+    },
+  );
+
+  pgm.createIndex(
+    'record_changes',
+    'changed_at',
+    {
+      name: 'record_changes_changed_at_index',
+      method: 'btree',
+    },
+  );
+};
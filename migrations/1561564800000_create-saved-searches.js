@@ -0,0 +1,73 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // named sets of GET /projects filters, saved by logged-in contacts
+  pgm.createTable('saved_searches', {
+    id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+    },
+    contact_id: {
+      type: 'text',
+      notNull: true,
+    },
+    name: {
+      type: 'text',
+      notNull: true,
+    },
+    // the filter query params of GET /projects
+    query: {
+      type: 'jsonb',
+      notNull: true,
+    },
+    alerts_enabled: {
+      type: 'boolean',
+      notNull: true,
+      default: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updated_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    // null until the alerts job has taken a first snapshot of the search's results
+    last_run_at: {
+      type: 'timestamp',
+    },
+  });
+
+  pgm.createIndex(
+    'saved_searches',
+    'contact_id',
+    {
+      name: 'saved_searches_contact_id_index',
+      method: 'btree',
+    },
+  );
+
+  // the projects each saved search matched on its last run, and a hash of their fields to find changes
+  pgm.createTable('saved_search_results', {
+    saved_search_id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+      references: 'saved_searches',
+      onDelete: 'cascade',
+    },
+    project_id: {
+      type: 'text',
+      notNull: true,
+      primaryKey: true,
+    },
+    fingerprint: {
+      type: 'text',
+      notNull: true,
+    },
+  });
+};
@@ -0,0 +1,32 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // contacts a login may act on behalf of besides its own, e.g. board office staff acting for the board
+  pgm.createTable('login_delegations', {
+    // the NYCID email of the delegate, matched case-insensitively
+    email: {
+      type: 'text',
+      notNull: true,
+      primaryKey: true,
+    },
+    contact_id: {
+      type: 'text',
+      notNull: true,
+      primaryKey: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.createIndex(
+    'login_delegations',
+    'lower(email)',
+    {
+      name: 'login_delegations_email_index',
+      method: 'btree',
+    },
+  );
+};
@@ -0,0 +1,30 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // sessions ended by POST /logout, kept until their login would have expired anyway
+  pgm.createTable('revoked_sessions', {
+    session_id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+    },
+    revoked_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    expires_at: {
+      type: 'timestamp',
+      notNull: true,
+    },
+  });
+
+  pgm.createIndex(
+    'revoked_sessions',
+    'expires_at',
+    {
+      name: 'revoked_sessions_expires_at_index',
+      method: 'btree',
+    },
+  );
+};
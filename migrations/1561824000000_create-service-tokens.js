@@ -0,0 +1,39 @@
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  // tokens that let scripts and other services call protected routes, created with scripts/create-service-token.js.
+  // Only a hash of each token is kept
+  pgm.createTable('service_tokens', {
+    id: {
+      type: 'varchar(40)',
+      notNull: true,
+      primaryKey: true,
+    },
+    name: {
+      type: 'text',
+      notNull: true,
+    },
+    token_hash: {
+      type: 'varchar(64)',
+      notNull: true,
+      unique: true,
+    },
+    // what the token may do, e.g. `geometries` or `admin`
+    scopes: {
+      type: 'text[]',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    expires_at: {
+      type: 'timestamp',
+      notNull: true,
+    },
+    last_used_at: {
+      type: 'timestamp',
+    },
+  });
+};
@@ -0,0 +1,22 @@
+SELECT
+  a.dcp_projectactionid,
+  p.dcp_name AS projectid,
+  SUBSTRING(a.dcp_name FROM '-{1}\s*(.*)') AS dcp_name, -- use regex to pull out action name -{1}(.*)
+  SUBSTRING(a.dcp_name FROM '^(\w+)') AS actioncode,
+  a.dcp_ulurpnumber,
+  a.dcp_prefix,
+  a.statuscode,
+  a.dcp_ccresolutionnumber,
+  z.dcp_zoningresolution,
+  cast(count(*) OVER() as integer) AS total
+FROM dcp_projectaction a
+INNER JOIN dcp_project p
+  ON a.dcp_project = p.dcp_projectid
+LEFT JOIN dcp_zoningresolution z
+  ON a.dcp_zoningresolution = z.dcp_zoningresolutionid
+WHERE p.dcp_visibility = 'General Public'
+  AND a.statuscode <> 'Mistake'
+  AND SUBSTRING(a.dcp_name FROM '^(\w+)') IN (${actionCodes:csv})
+  ${filters^}
+ORDER BY p.dcp_name, a.dcp_name, a.dcp_projectactionid
+${paginate^}
@@ -0,0 +1,6 @@
+SELECT id, name
+FROM boundaries
+WHERE type = ${type}
+GROUP BY id, name
+-- numeric ids like council districts sort as numbers
+ORDER BY CASE WHEN id ~ '^\d+$' THEN id::integer END, id
@@ -0,0 +1,7 @@
+INSERT INTO boundaries (type, id, name, geom)
+VALUES (
+  ${type},
+  ${id},
+  ${name},
+  ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON(${geometry}), 4326))
+)
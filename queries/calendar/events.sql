@@ -0,0 +1,63 @@
+-- review periods, hearings and votes of public projects, as calendar events
+WITH events AS (
+  -- review periods and votes, see CALENDAR_MILESTONES in utils/calendar.js
+  SELECT
+    'milestone-' || mm.dcp_projectmilestoneid AS uid,
+    p.dcp_name AS projectid,
+    p.dcp_projectname,
+    (${displayNames:json}::json ->> mm.dcp_milestone::text) AS event_name,
+    COALESCE(mm.dcp_actualstartdate, mm.dcp_plannedstartdate) AS start_date,
+    COALESCE(mm.dcp_actualenddate, mm.dcp_plannedcompletiondate) AS end_date,
+    NULL AS location,
+    -- planned dates may still move
+    (mm.dcp_actualstartdate IS NULL) AS tentative
+  FROM dcp_projectmilestone mm
+  INNER JOIN dcp_project p
+    ON mm.dcp_project = p.dcp_projectid
+  WHERE p.dcp_visibility = 'General Public'
+    AND mm.statuscode <> 'Overridden'
+    AND mm.dcp_milestone IN (${milestoneIds:csv})
+
+  UNION ALL
+
+  -- public hearings held by community boards, borough presidents and borough boards
+  SELECT
+    'hearing-' || disp.dcp_communityboarddispositionid,
+    p.dcp_name,
+    p.dcp_projectname,
+    concat_ws(' ', disp.dcp_representing, 'Public Hearing'),
+    disp.dcp_dateofpublichearing,
+    disp.dcp_dateofpublichearing,
+    disp.dcp_publichearinglocation,
+    false
+  FROM dcp_communityboarddisposition disp
+  INNER JOIN dcp_project p
+    ON disp.dcp_project = p.dcp_projectid
+  WHERE p.dcp_visibility = 'General Public'
+    AND disp.dcp_dateofpublichearing IS NOT NULL
+
+  UNION ALL
+
+  -- their votes on a recommendation
+  SELECT
+    'vote-' || disp.dcp_communityboarddispositionid,
+    p.dcp_name,
+    p.dcp_projectname,
+    concat_ws(' ', disp.dcp_representing, 'Vote'),
+    disp.dcp_dateofvote,
+    disp.dcp_dateofvote,
+    disp.dcp_votelocation,
+    false
+  FROM dcp_communityboarddisposition disp
+  INNER JOIN dcp_project p
+    ON disp.dcp_project = p.dcp_projectid
+  WHERE p.dcp_visibility = 'General Public'
+    AND disp.dcp_dateofvote IS NOT NULL
+)
+SELECT *
+FROM events
+WHERE start_date IS NOT NULL
+  AND COALESCE(end_date, start_date) >= to_timestamp(${from})
+  ${filters^}
+ORDER BY start_date, uid
+LIMIT ${limit}
@@ -0,0 +1,6 @@
+-- the projects a land use participant is assigned to review
+SELECT p.dcp_name
+FROM dcp_projectlupteam lup
+INNER JOIN dcp_project p
+  ON lup.dcp_project = p.dcp_projectid
+WHERE lup.dcp_lupteammember = ${contactId}
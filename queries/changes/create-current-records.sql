@@ -0,0 +1 @@
+CREATE TEMP TABLE current_records ON COMMIT DROP AS ${currentQuery^}
@@ -0,0 +1,16 @@
+-- the tracked fields of the actions of public projects
+SELECT
+  a.dcp_projectactionid::text AS record_id,
+  p.dcp_name AS project_id,
+  a.dcp_name AS record_name,
+  jsonb_build_object(
+    'statuscode', a.statuscode,
+    'dcp_ulurpnumber', a.dcp_ulurpnumber,
+    'dcp_ccresolutionnumber', a.dcp_ccresolutionnumber
+  ) AS fields
+FROM dcp_projectaction a
+INNER JOIN dcp_project p
+  ON a.dcp_project = p.dcp_projectid
+WHERE p.dcp_visibility = 'General Public'
+  AND a.statuscode <> 'Mistake'
+  AND SUBSTRING(a.dcp_name FROM '^(\w+)') IN (${actionCodes:csv})
@@ -0,0 +1,18 @@
+-- the tracked fields of the milestones shown on public project pages, see utils/milestone-filters.js
+SELECT
+  mm.dcp_projectmilestoneid::text AS record_id,
+  p.dcp_name AS project_id,
+  (${displayNames:json}::json ->> mm.dcp_milestone::text) AS record_name,
+  jsonb_build_object(
+    'statuscode', mm.statuscode,
+    'dcp_plannedstartdate', mm.dcp_plannedstartdate,
+    'dcp_plannedcompletiondate', mm.dcp_plannedcompletiondate,
+    'dcp_actualstartdate', mm.dcp_actualstartdate,
+    'dcp_actualenddate', mm.dcp_actualenddate
+  ) AS fields
+FROM dcp_projectmilestone mm
+INNER JOIN dcp_project p
+  ON mm.dcp_project = p.dcp_projectid
+WHERE p.dcp_visibility = 'General Public'
+  AND mm.statuscode <> 'Overridden'
+  AND mm.dcp_milestone IN (${milestoneIds:csv})
@@ -0,0 +1,20 @@
+-- the tracked fields of every public project, after a refresh of normalized_projects
+SELECT
+  dcp_name AS record_id,
+  dcp_name AS project_id,
+  dcp_projectname AS record_name,
+  jsonb_build_object(
+    'dcp_projectname', dcp_projectname,
+    'dcp_projectbrief', dcp_projectbrief,
+    'dcp_publicstatus', dcp_publicstatus,
+    'dcp_publicstatus_simp', dcp_publicstatus_simp,
+    'dcp_ulurp_nonulurp', dcp_ulurp_nonulurp,
+    'dcp_ceqrtype', dcp_ceqrtype,
+    'dcp_certifiedreferred', dcp_certifiedreferred,
+    'dcp_borough', dcp_borough,
+    'dcp_communitydistricts', dcp_communitydistricts,
+    'actiontypes', actiontypes,
+    'applicants', applicants
+  ) AS fields
+FROM normalized_projects
+WHERE dcp_visibility = 'General Public'
@@ -0,0 +1 @@
+SELECT EXISTS (SELECT 1 FROM record_snapshots WHERE record_type = ${type}) AS has_snapshots
@@ -0,0 +1,20 @@
+-- changes to public projects, their milestones and actions, in order of when they were found
+SELECT
+  ch.id,
+  ch.record_type,
+  ch.record_id,
+  ch.record_name,
+  ch.project_id AS projectid,
+  ch.change_type,
+  ch.field,
+  ch.old_value,
+  ch.new_value,
+  ch.changed_at,
+  cast(count(*) OVER() as integer) AS total
+FROM record_changes ch
+WHERE ch.project_id IN (
+  SELECT dcp_name FROM normalized_projects WHERE dcp_visibility = 'General Public'
+)
+  ${filters^}
+ORDER BY ch.changed_at ${direction^}, ch.id ${direction^}
+${paginate^}
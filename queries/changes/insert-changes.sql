@@ -0,0 +1,31 @@
+-- compares current_records to the last snapshots of a record type.
+-- changed_at is the same for every change found in one refresh, since now() is the start of the transaction
+
+-- fields that changed
+INSERT INTO record_changes (record_type, record_id, project_id, record_name, change_type, field, old_value, new_value, changed_at)
+SELECT ${type}, c.record_id, c.project_id, c.record_name, 'updated', fields.field, s.fields -> fields.field, c.fields -> fields.field, now()
+FROM current_records c
+INNER JOIN record_snapshots s
+  ON s.record_type = ${type}
+  AND s.record_id = c.record_id
+CROSS JOIN LATERAL (
+  SELECT jsonb_object_keys(c.fields || s.fields) AS field
+) fields
+WHERE (s.fields -> fields.field) IS DISTINCT FROM (c.fields -> fields.field);
+
+-- new records
+INSERT INTO record_changes (record_type, record_id, project_id, record_name, change_type, new_value, changed_at)
+SELECT ${type}, c.record_id, c.project_id, c.record_name, 'created', c.fields, now()
+FROM current_records c
+WHERE NOT EXISTS (
+  SELECT 1 FROM record_snapshots s WHERE s.record_type = ${type} AND s.record_id = c.record_id
+);
+
+-- records that were removed, or are no longer public
+INSERT INTO record_changes (record_type, record_id, project_id, record_name, change_type, old_value, changed_at)
+SELECT ${type}, s.record_id, s.project_id, s.record_name, 'deleted', s.fields, now()
+FROM record_snapshots s
+WHERE s.record_type = ${type}
+  AND NOT EXISTS (
+    SELECT 1 FROM current_records c WHERE c.record_id = s.record_id
+  );
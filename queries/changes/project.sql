@@ -0,0 +1,4 @@
+SELECT dcp_name
+FROM normalized_projects
+WHERE dcp_name = ${id}
+  AND dcp_visibility = 'General Public'
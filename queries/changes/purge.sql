@@ -0,0 +1,2 @@
+DELETE FROM record_changes
+WHERE changed_at < now() - (${retentionDays} * interval '1 day')
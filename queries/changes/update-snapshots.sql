@@ -0,0 +1,21 @@
+DELETE FROM record_snapshots s
+WHERE s.record_type = ${type}
+  AND NOT EXISTS (
+    SELECT 1 FROM current_records c WHERE c.record_id = s.record_id
+  );
+
+INSERT INTO record_snapshots (record_type, record_id, project_id, record_name, fields, updated_at)
+SELECT ${type}, record_id, project_id, record_name, fields, now()
+FROM current_records
+ON CONFLICT (record_type, record_id)
+DO
+  UPDATE
+    SET
+      project_id = EXCLUDED.project_id,
+      record_name = EXCLUDED.record_name,
+      fields = EXCLUDED.fields,
+      updated_at = EXCLUDED.updated_at
+    WHERE record_snapshots.fields IS DISTINCT FROM EXCLUDED.fields
+      OR record_snapshots.record_name IS DISTINCT FROM EXCLUDED.record_name;
+
+DROP TABLE current_records;
@@ -1,3 +0,0 @@
-SELECT *
-FROM contact
-WHERE emailaddress1 = '${email:value}'
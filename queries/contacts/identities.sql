@@ -0,0 +1,27 @@
+-- the contacts a login can act as: contacts with the login's email, and contacts delegated to it
+-- in login_delegations, with their land use participant roles. Only `contactIds` when they're given
+WITH delegations AS (
+  SELECT contact_id
+  FROM login_delegations
+  WHERE lower(email) = lower(${email})
+)
+SELECT
+  contact.contactid AS contact_id,
+  contact.fullname AS name,
+  NOT (
+    COALESCE(contact.contactid = ANY(${contactIds}::text[]), FALSE)
+    OR COALESCE(contact.emailaddress1 = ${email}, FALSE)
+  ) AS delegated,
+  COALESCE(lup.roles, '{}') AS roles
+FROM contact
+LEFT JOIN LATERAL (
+  SELECT array_agg(DISTINCT dcp_lupteammemberrole ORDER BY dcp_lupteammemberrole) AS roles
+  FROM dcp_projectlupteam
+  WHERE dcp_lupteammember = contact.contactid
+) lup ON TRUE
+WHERE contact.contactid = ANY(${contactIds}::text[])
+  OR (
+    ${contactIds}::text[] IS NULL
+    AND (contact.emailaddress1 = ${email} OR contact.contactid IN (SELECT contact_id FROM delegations))
+  )
+ORDER BY delegated, contact.fullname, contact.contactid
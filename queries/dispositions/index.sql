@@ -0,0 +1,23 @@
+SELECT
+  disp.dcp_communityboarddispositionid,
+  p.dcp_name AS projectid,
+  disp.dcp_recommendationsubmittedby,
+  disp.dcp_representing,
+  disp.dcp_dateofpublichearing,
+  disp.dcp_dateofvote,
+  disp.dcp_boroughboardrecommendation,
+  disp.dcp_communityboardrecommendation,
+  disp.dcp_boroughpresidentrecommendation,
+  disp.statuscode,
+  disp.dcp_projectaction,
+  a.dcp_ulurpnumber,
+  cast(count(*) OVER() as integer) AS total
+FROM dcp_communityboarddisposition disp
+INNER JOIN dcp_project p
+  ON disp.dcp_project = p.dcp_projectid
+LEFT JOIN dcp_projectaction a
+  ON disp.dcp_projectaction = a.dcp_projectactionid
+WHERE p.dcp_visibility = 'General Public'
+  ${filters^}
+ORDER BY p.dcp_name, disp.dcp_dateofvote, disp.dcp_communityboarddispositionid
+${paginate^}
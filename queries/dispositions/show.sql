@@ -0,0 +1,11 @@
+SELECT
+  disp.dcp_communityboarddispositionid,
+  disp.dcp_recommendationsubmittedby,
+  (
+    SELECT array_agg(DISTINCT lup.dcp_lupteammemberrole)
+    FROM dcp_projectlupteam AS lup
+    WHERE lup.dcp_project = disp.dcp_project
+      AND lup.dcp_lupteammember = '${contactId:value}'
+  ) AS lup_roles
+FROM dcp_communityboarddisposition AS disp
+WHERE disp.dcp_communityboarddispositionid = '${id:value}'
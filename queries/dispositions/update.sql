@@ -0,0 +1,23 @@
+UPDATE dcp_communityboarddisposition
+SET ${updates^}
+WHERE dcp_communityboarddispositionid = '${id:value}'
+  AND dcp_recommendationsubmittedby = '${contactId:value}' -- plugs in contactid
+RETURNING
+  dcp_communityboarddispositionid,
+  dcp_recommendationsubmittedby,
+  dcp_representing,
+  dcp_dateofpublichearing,
+  dcp_publichearinglocation,
+  dcp_dateofvote,
+  dcp_votelocation,
+  dcp_votinginfavorrecommendation,
+  dcp_votingagainstrecommendation,
+  dcp_votingabstainingonrecommendation,
+  dcp_totalmembersappointedtotheboard,
+  dcp_wasaquorumpresent,
+  dcp_boroughboardrecommendation,
+  dcp_communityboardrecommendation,
+  dcp_boroughpresidentrecommendation,
+  dcp_consideration,
+  dcp_projectaction,
+  (SELECT dcp_name FROM dcp_project WHERE dcp_projectid = dcp_project) AS projectid
@@ -0,0 +1,11 @@
+-- takes the oldest queued job, skipping jobs another process has already locked
+UPDATE export_jobs
+SET status = 'running', started_at = now(), heartbeat_at = now()
+WHERE id = (
+  SELECT id FROM export_jobs
+  WHERE status = 'queued'
+  ORDER BY created_at
+  FOR UPDATE SKIP LOCKED
+  LIMIT 1
+)
+RETURNING *
@@ -0,0 +1,10 @@
+-- completed files are kept for another ttl period from when they're finished
+UPDATE export_jobs
+SET
+  status = 'completed',
+  rows_written = ${rowsWritten},
+  file_key = ${fileKey},
+  completed_at = now(),
+  expires_at = now() + (${ttl} * interval '1 second')
+WHERE id = ${id}
+  AND status = 'running'
@@ -0,0 +1 @@
+SELECT count(*)::integer AS total FROM (${projectsQuery^}) projects
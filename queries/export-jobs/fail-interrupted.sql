@@ -0,0 +1,5 @@
+-- running jobs whose process stopped sending heartbeats were interrupted, e.g. by a restart
+UPDATE export_jobs
+SET status = 'failed', error = 'Export was interrupted', completed_at = now()
+WHERE status = 'running'
+  AND COALESCE(heartbeat_at, started_at) < now() - (${staleAfter} * interval '1 second')
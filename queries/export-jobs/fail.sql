@@ -0,0 +1,4 @@
+UPDATE export_jobs
+SET status = 'failed', error = ${error}, completed_at = now()
+WHERE id = ${id}
+  AND status = 'running'
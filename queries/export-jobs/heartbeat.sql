@@ -0,0 +1,4 @@
+UPDATE export_jobs
+SET heartbeat_at = now()
+WHERE id = ${id}
+  AND status = 'running'
@@ -0,0 +1,3 @@
+INSERT INTO export_jobs (id, format, projects_query, expires_at)
+VALUES (${id}, ${format}, ${projectsQuery}, now() + (${ttl} * interval '1 second'))
+RETURNING *
@@ -0,0 +1,3 @@
+UPDATE export_jobs
+SET total_rows = ${totalRows}, rows_written = ${rowsWritten}
+WHERE id = ${id}
@@ -0,0 +1,4 @@
+-- returns the files of expired jobs so they can be removed from storage
+DELETE FROM export_jobs
+WHERE expires_at < now()
+RETURNING file_key
@@ -0,0 +1 @@
+SELECT * FROM export_jobs WHERE id = ${id} AND expires_at > now()
@@ -0,0 +1,3 @@
+SELECT version
+FROM data_versions
+WHERE name = ${name}
@@ -1,22 +1,19 @@
-WITH tilebounds (geom) AS (SELECT ST_MakeEnvelope($1, $2, $3, $4, 3857))
-SELECT ST_AsMVT(q, 'project-centroids', 4096, 'geom')
+WITH tilebounds (geom) AS (SELECT ST_MakeEnvelope(${bbox:csv}, 3857))
+SELECT ST_AsMVT(q, ${layerName}, 4096, 'geom')
 FROM (
   SELECT
-    projectid,
-    dcp_projectname,
-    dcp_publicstatus_simp,
-    lastmilestonedate,
+    ${fields:name},
     ST_AsMVTGeom(
-      x.$6^,
+      x.${geomColumn:name},
       tileBounds.geom,
       4096,
       256,
       false
     ) geom
   FROM (
-    $5^
+    ${tileQuery^}
   ) x, tilebounds
-  WHERE x.$6^ && tilebounds.geom
+  WHERE x.${geomColumn:name} && tilebounds.geom
   ORDER BY CASE WHEN dcp_publicstatus_simp = 'In Public Review' then 1
                 WHEN dcp_publicstatus_simp = 'Filed' then 2
                 WHEN dcp_publicstatus_simp = 'Completed' then 3
@@ -1,4 +1,4 @@
-SELECT centroid_3857, polygons_3857, projectid, dcp_projectname, dcp_publicstatus_simp,lastmilestonedate
+SELECT centroid_3857, polygons_3857, projectid, dcp_projectname, dcp_publicstatus_simp, lastmilestonedate, dcp_ulurp_nonulurp, dcp_ceqrtype, dcp_borough
 FROM normalized_projects p
 LEFT JOIN project_geoms c
   ON p.dcp_name = c.projectid
@@ -0,0 +1,29 @@
+-- only the milestones shown on project pages, see utils/milestone-filters.js
+SELECT
+  mm.dcp_projectmilestoneid,
+  p.dcp_name AS projectid,
+  mm.dcp_name,
+  dcp_milestone.dcp_name AS milestonename,
+  (${displayNames:json}::json ->> mm.dcp_milestone::text) AS display_name,
+  mm.dcp_plannedstartdate,
+  mm.dcp_plannedcompletiondate,
+  mm.dcp_actualstartdate,
+  mm.dcp_actualenddate,
+  mm.statuscode,
+  dcp_milestoneoutcome.dcp_name AS outcome,
+  mm.dcp_milestone,
+  mm.dcp_milestonesequence,
+  cast(count(*) OVER() as integer) AS total
+FROM dcp_projectmilestone mm
+INNER JOIN dcp_project p
+  ON mm.dcp_project = p.dcp_projectid
+LEFT JOIN dcp_milestone
+  ON mm.dcp_milestone = dcp_milestone.dcp_milestoneid
+LEFT JOIN dcp_milestoneoutcome
+  ON mm.dcp_milestoneoutcome = dcp_milestoneoutcomeid
+WHERE p.dcp_visibility = 'General Public'
+  AND mm.statuscode <> 'Overridden'
+  AND mm.dcp_milestone IN (${milestoneIds:csv})
+  ${filters^}
+ORDER BY p.dcp_name, mm.dcp_milestonesequence, mm.dcp_projectmilestoneid
+${paginate^}
@@ -0,0 +1,21 @@
+-- actions of the projects in a download, for the actions sheet of the xlsx download
+SELECT
+  p.dcp_name AS projectid,
+  SUBSTRING(a.dcp_name FROM '^(\w+)') AS actioncode,
+  SUBSTRING(a.dcp_name FROM '-{1}\s*(.*)') AS dcp_name, -- use regex to pull out action name -{1}(.*)
+  a.dcp_ulurpnumber,
+  a.dcp_prefix,
+  a.statuscode,
+  a.dcp_ccresolutionnumber,
+  z.dcp_zoningresolution
+FROM dcp_projectaction a
+INNER JOIN dcp_project p
+  ON a.dcp_project = p.dcp_projectid
+LEFT JOIN dcp_zoningresolution z
+  ON a.dcp_zoningresolution = z.dcp_zoningresolutionid
+WHERE p.dcp_name IN (
+  SELECT dcp_name FROM (${projectsSQL^}) projects
+)
+  AND a.statuscode <> 'Mistake'
+  AND SUBSTRING(a.dcp_name FROM '^(\w+)') IN (${actionCodes:csv})
+ORDER BY p.dcp_name, a.dcp_name
@@ -0,0 +1,12 @@
+SELECT ${facet} AS facet, value, count(*)::integer AS count
+FROM (
+  SELECT ${value^} AS value
+  FROM normalized_projects p
+  LEFT JOIN project_geoms c
+    ON p.dcp_name = c.projectid
+  WHERE dcp_visibility = 'General Public'
+    ${filters^}
+) facet_values
+WHERE value IS NOT NULL
+  AND value <> ''
+GROUP BY value
@@ -0,0 +1,43 @@
+-- the projects, roles, and statuses assigned to a LUP contact, with the deadline of each review
+SELECT DISTINCT
+  CASE
+    WHEN mm.statuscode = 'In Progress' THEN 'to-review'
+    WHEN mm.statuscode = 'Not Started' THEN 'upcoming'
+    WHEN mm.statuscode IN ('Completed', 'Overridden') AND p.dcp_publicstatus NOT IN ('Approved', 'Withdrawn') THEN 'reviewed'
+    WHEN mm.statuscode IN ('Completed', 'Overridden') AND p.dcp_publicstatus IN ('Approved', 'Withdrawn') THEN 'archive'
+  END AS dashboard_tab,
+  lup.dcp_project AS project_id,
+  lup.dcp_name AS lup_name,
+  lup.dcp_lupteammemberrole AS lup_role,
+  p.dcp_publicstatus,
+  p.dcp_projectname,
+  p.dcp_projectbrief,
+  p.dcp_name,
+  p.dcp_ulurp_nonulurp,
+  mm.dcp_projectmilestoneid AS milestone_id,
+  mm.dcp_actualstartdate AS actualstartdate,
+  mm.dcp_actualenddate AS actualenddate,
+  mm.dcp_plannedstartdate AS plannedstartdate,
+  mm.dcp_plannedcompletiondate AS plannedcompletiondate,
+  -- a review is due by its milestone's planned completion date
+  mm.dcp_plannedcompletiondate AS review_deadline,
+  (mm.dcp_plannedcompletiondate::date - current_date) AS days_remaining,
+  (mm.statuscode = 'In Progress' AND mm.dcp_plannedcompletiondate::date < current_date) AS is_overdue,
+  (
+    mm.statuscode = 'In Progress'
+    AND mm.dcp_plannedcompletiondate::date - current_date BETWEEN 0 AND ${dueSoonDays}
+  ) AS is_due_soon
+FROM
+  dcp_projectlupteam AS lup
+INNER JOIN -- inner because not all projects should be visible to users based on visibility field in "where" clause
+  dcp_project AS p ON lup.dcp_project = p.dcp_projectid
+INNER JOIN -- inner because we only want certain milestones with the status included in the "where" clause
+  dcp_projectmilestone AS mm ON lup.dcp_project = mm.dcp_project
+WHERE
+  lup.dcp_lupteammember = '${id:value}' -- plugs in contactid
+  AND p.dcp_visibility = 'General Public'
+  AND (
+    (mm.dcp_milestone = '923beec4-dad0-e711-8116-1458d04e2fb8' AND lup.dcp_lupteammemberrole = 'CB')
+    OR (mm.dcp_milestone = '943beec4-dad0-e711-8116-1458d04e2fb8' AND lup.dcp_lupteammemberrole = 'BP')
+    OR (mm.dcp_milestone = '963beec4-dad0-e711-8116-1458d04e2fb8' AND lup.dcp_lupteammemberrole = 'BB')
+  )
@@ -0,0 +1,6 @@
+-- every assignment of a LUP contact, soonest deadline first, for the dashboard summary
+SELECT lup.*
+FROM (
+  ${assignmentsQuery^}
+) lup
+ORDER BY lup.review_deadline NULLS LAST, lup.project_id, lup.lup_role
@@ -44,6 +44,8 @@ SELECT
   ) AS bbl_multipolygon,
   (
     SELECT json_agg(json_build_object(
+      'dcp_projectactionid', a.dcp_projectactionid,
+      'projectid', p.dcp_name,
       'dcp_name', SUBSTRING(a.dcp_name FROM '-{1}\s*(.*)'), -- use regex to pull out action name -{1}(.*)
       'actioncode', SUBSTRING(a.dcp_name FROM '^(\w+)'),
       'dcp_ulurpnumber', a.dcp_ulurpnumber,
@@ -56,85 +58,12 @@ SELECT
     LEFT JOIN dcp_zoningresolution z ON a.dcp_zoningresolution = z.dcp_zoningresolutionid
     WHERE a.dcp_project = p.dcp_projectid
       AND a.statuscode <> 'Mistake'
-      AND SUBSTRING(a.dcp_name FROM '^(\w+)') IN (
-        'BD',
-        'BF',
-        'CM',
-        'CP',
-        'DL',
-        'DM',
-        'EB',
-        'EC',
-        'EE',
-        'EF',
-        'EM',
-        'EN',
-        'EU',
-        'GF',
-        'HA',
-        'HC',
-        'HD',
-        'HF',
-        'HG',
-        'HI',
-        'HK',
-        'HL',
-        'HM',
-        'HN',
-        'HO',
-        'HP',
-        'HR',
-        'HS',
-        'HU',
-        'HZ',
-        'LD',
-        'MA',
-        'MC',
-        'MD',
-        'ME',
-        'MF',
-        'ML',
-        'MM',
-        'MP',
-        'MY',
-        'NP',
-        'PA',
-        'PC',
-        'PD',
-        'PE',
-        'PI',
-        'PL',
-        'PM',
-        'PN',
-        'PO',
-        'PP',
-        'PQ',
-        'PR',
-        'PS',
-        'PX',
-        'RA',
-        'RC',
-        'RS',
-        'SC',
-        'TC',
-        'TL',
-        'UC',
-        'VT',
-        'ZA',
-        'ZC',
-        'ZD',
-        'ZJ',
-        'ZL',
-        'ZM',
-        'ZP',
-        'ZR',
-        'ZS',
-        'ZX',
-        'ZZ'
-      )
+      AND SUBSTRING(a.dcp_name FROM '^(\w+)') IN (${actionCodes:csv})
   ) AS actions,
   (
     SELECT json_agg(json_build_object(
+      'dcp_projectmilestoneid', m.dcp_projectmilestoneid,
+      'projectid', p.dcp_name,
       'dcp_name', m.dcp_name,
       'milestonename', m.milestonename,
       'dcp_plannedstartdate', m.dcp_plannedstartdate,
@@ -345,6 +274,8 @@ SELECT
   (
     SELECT json_agg(
       json_build_object(
+        'dcp_communityboarddispositionid', disp.dcp_communityboarddispositionid,
+        'projectid', p.dcp_name,
         'recommendationsubmittedby', disp.dcp_recommendationsubmittedby,
         'representing', disp.dcp_representing,
         'dateofpublichearing', disp.dcp_dateofpublichearing,
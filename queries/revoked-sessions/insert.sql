@@ -0,0 +1,3 @@
+INSERT INTO revoked_sessions (session_id, expires_at)
+VALUES (${sessionId}, to_timestamp(${expiresAt}))
+ON CONFLICT (session_id) DO NOTHING
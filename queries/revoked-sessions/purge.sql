@@ -0,0 +1 @@
+DELETE FROM revoked_sessions WHERE expires_at < now()
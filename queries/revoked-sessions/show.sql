@@ -0,0 +1,5 @@
+SELECT EXISTS (
+  SELECT 1
+  FROM revoked_sessions
+  WHERE session_id = ${sessionId}
+) AS revoked
@@ -0,0 +1,7 @@
+-- saved searches with alerts, with the email of the contact who saved them
+SELECT s.*, c.emailaddress1 AS email
+FROM saved_searches s
+LEFT JOIN contact c
+  ON c.contactid = s.contact_id
+WHERE s.alerts_enabled
+ORDER BY s.created_at
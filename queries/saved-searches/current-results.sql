@@ -0,0 +1,15 @@
+-- the projects a saved search matches now, with a hash of the fields that are worth an alert when they change
+SELECT
+  matches.dcp_name AS project_id,
+  matches.dcp_projectname,
+  matches.dcp_publicstatus_simp,
+  md5(json_build_array(
+    matches.dcp_projectname,
+    matches.dcp_projectbrief,
+    matches.dcp_publicstatus_simp,
+    matches.dcp_certifiedreferred,
+    matches.actiontypes,
+    matches.applicants,
+    matches.lastmilestonedate
+  )::text) AS fingerprint
+FROM (${projectsQuery^}) matches
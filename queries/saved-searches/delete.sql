@@ -0,0 +1,4 @@
+DELETE FROM saved_searches
+WHERE id = ${id}
+  AND contact_id = ${contactId}
+RETURNING id
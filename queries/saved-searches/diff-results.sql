@@ -0,0 +1,10 @@
+-- the projects a saved search matches now that are new or changed since its last run
+SELECT
+  c.*,
+  CASE WHEN r.project_id IS NULL THEN 'new' ELSE 'changed' END AS change_type
+FROM (${currentResults^}) c
+LEFT JOIN saved_search_results r
+  ON r.saved_search_id = ${id}
+  AND r.project_id = c.project_id
+WHERE r.fingerprint IS DISTINCT FROM c.fingerprint
+ORDER BY change_type DESC, c.project_id
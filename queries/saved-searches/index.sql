@@ -0,0 +1,4 @@
+SELECT *
+FROM saved_searches
+WHERE contact_id = ${contactId}
+ORDER BY created_at
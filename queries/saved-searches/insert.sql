@@ -0,0 +1,3 @@
+INSERT INTO saved_searches (id, contact_id, name, query, alerts_enabled)
+VALUES (${id}, ${contactId}, ${name}, ${query:json}, ${alertsEnabled})
+RETURNING *
@@ -0,0 +1,4 @@
+SELECT *
+FROM saved_searches
+WHERE id = ${id}
+  AND contact_id = ${contactId}
@@ -0,0 +1,11 @@
+-- replaces a saved search's results with the projects it matches now
+DELETE FROM saved_search_results
+WHERE saved_search_id = ${id};
+
+INSERT INTO saved_search_results (saved_search_id, project_id, fingerprint)
+SELECT ${id}, c.project_id, c.fingerprint
+FROM (${currentResults^}) c;
+
+UPDATE saved_searches
+SET last_run_at = now()
+WHERE id = ${id};
@@ -0,0 +1,11 @@
+-- a changed query starts over from a new snapshot of its results, so existing matches aren't sent as new
+UPDATE saved_searches
+SET
+  name = ${name},
+  query = ${query:json},
+  alerts_enabled = ${alertsEnabled},
+  updated_at = now(),
+  last_run_at = CASE WHEN query = ${query:json} THEN last_run_at END
+WHERE id = ${id}
+  AND contact_id = ${contactId}
+RETURNING *
@@ -0,0 +1,3 @@
+INSERT INTO service_tokens (id, name, token_hash, scopes, expires_at)
+VALUES (${id}, ${name}, ${tokenHash}, ${scopes}::text[], now() + (${expiresInDays} * interval '1 day'))
+RETURNING id, name, scopes, expires_at
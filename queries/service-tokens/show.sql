@@ -0,0 +1,6 @@
+-- an unexpired token, marked as used
+UPDATE service_tokens
+SET last_used_at = now()
+WHERE token_hash = ${tokenHash}
+  AND expires_at > now()
+RETURNING id, name, scopes, expires_at
@@ -0,0 +1 @@
+DELETE FROM tile_sessions WHERE expires_at < now()
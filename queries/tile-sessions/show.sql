@@ -0,0 +1,6 @@
+-- sessions are kept alive for another ttl period every time they are used
+UPDATE tile_sessions
+SET expires_at = now() + (${ttl} * interval '1 second')
+WHERE id = ${id}
+  AND expires_at > now()
+RETURNING tile_query
@@ -0,0 +1,8 @@
+INSERT INTO tile_sessions (id, tile_query, expires_at)
+VALUES (${id}, ${tileQuery}, now() + (${ttl} * interval '1 second'))
+ON CONFLICT (id)
+DO
+  UPDATE
+    SET
+      tile_query = ${tileQuery},
+      expires_at = now() + (${ttl} * interval '1 second')
@@ -0,0 +1,40 @@
+const express = require('express');
+const getQueryFile = require('../utils/get-query-file');
+const { BOUNDARY_TYPES } = require('../utils/boundaries');
+const { sendError } = require('../utils/json-api');
+const NotFoundError = require('../errors/not-found');
+
+const listBoundariesQuery = getQueryFile('/boundaries/index.sql');
+
+const router = express.Router({ mergeParams: true });
+
+/* GET /boundaries/:type */
+/* lists the boundaries of a type, with the ids accepted by the matching GET /projects filter */
+router.get('/:type', async (req, res) => {
+  const { app, params } = req;
+  const { type } = params;
+
+  try {
+    if (!BOUNDARY_TYPES[type]) {
+      throw new NotFoundError(`Unknown boundary type ${type}, must be one of ${Object.keys(BOUNDARY_TYPES).join(', ')}`);
+    }
+
+    const boundaries = await app.db.any(listBoundariesQuery, { type });
+
+    res.send({
+      data: boundaries.map(({ id, name }) => ({
+        type,
+        id,
+        attributes: { name },
+      })),
+      meta: {
+        name: BOUNDARY_TYPES[type].name,
+        total: boundaries.length,
+      },
+    });
+  } catch (e) {
+    sendError(res, e, 'Unable to list boundaries');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const sendCalendar = require('../utils/calendar');
+const { sendError } = require('../utils/json-api');
+
+const { buildCalendarSQL } = sendCalendar;
+
+const router = express.Router({ mergeParams: true });
+
+/* GET /calendar.ics */
+/* A citywide calendar of the review periods, hearings and votes of every public project */
+router.get('/', async (req, res) => {
+  const { app, query } = req;
+
+  try {
+    const events = await app.db.any(buildCalendarSQL({ from: query.from }));
+
+    sendCalendar(res, 'ZAP public reviews', events);
+  } catch (e) {
+    sendError(res, e, 'Unable to build calendar');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { buildChangesSQL } = require('../utils/change-history');
+const { parsePage } = require('../utils/build-resources-sql');
+const serialize = require('../utils/json-api');
+
+const { sendError, pageLink } = serialize;
+
+const router = express.Router({ mergeParams: true });
+
+// links to the changes after a change, which don't shift as changes are recorded and purged
+const sinceIdLink = (req, sinceId) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('page');
+  url.searchParams.set('since_id', sinceId);
+
+  return `${process.env.HOST}${url.pathname}${url.search}`;
+};
+
+/* GET /changes */
+/* Lists changes to public projects, their milestones and actions, oldest first. Poll with since_id= the id of the last change seen */
+router.get('/', async (req, res) => {
+  const { app, query } = req;
+
+  try {
+    const rows = await app.db.any(buildChangesSQL(query));
+    const [{ total = 0 } = {}] = rows;
+    const { page, offset } = parsePage(query);
+    const links = {};
+
+    // changes polled by id are paged by id too
+    if (query.since_id !== undefined) {
+      if (rows.length && rows.length < total) links.next = sinceIdLink(req, rows[rows.length - 1].id);
+    } else {
+      if (page > 1) links.prev = pageLink(req, page - 1);
+      if (rows.length && offset + rows.length < total) links.next = pageLink(req, page + 1);
+    }
+
+    res.send(serialize('changes', rows.map(({ total: rowTotal, ...change }) => change), {
+      fields: query.fields,
+      links,
+      meta: {
+        total,
+        pageTotal: rows.length,
+      },
+    }));
+  } catch (e) {
+    sendError(res, e, 'Unable to list changes');
+  }
+});
+
+module.exports = router;
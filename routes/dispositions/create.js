@@ -1,12 +1,58 @@
 const express = require('express');
+const pgp = require('pg-promise');
+const getQueryFile = require('../../utils/get-query-file');
+const validateDisposition = require('../../utils/validate-disposition');
+const serialize = require('../../utils/json-api');
+const authorize = require('../../middleware/authorize');
+const ForbiddenError = require('../../errors/forbidden');
+const NotFoundError = require('../../errors/not-found');
+
+const { sendError } = serialize;
 
 const router = express.Router({ mergeParams: true });
 
-/* Retreive a single project */
-router.patch('/', async (req, res) => {
-  const { body } = req;
+// the SET clause of an update, from column/value pairs
+const buildUpdates = values => Object.keys(values)
+  .map(column => pgp.as.format('$1:name = $2', [column, values[column]]))
+  .join(', ');
+
+// import sql query templates
+const findDispositionQuery = getQueryFile('/dispositions/show.sql');
+const updateDispositionQuery = getQueryFile('/dispositions/update.sql');
+
+/* PATCH /dispositions/:id */
+/* Submit a land use participant's hearing, vote and recommendation for a disposition */
+router.patch('/', authorize('lup'), async (req, res) => {
+  const {
+    app: { db },
+    params: { id },
+    body: { data = {} },
+  } = req;
+
+  try {
+    const { contactId } = req.session;
+    const disposition = await db.oneOrNone(findDispositionQuery, { id, contactId });
+
+    if (!disposition) {
+      throw new NotFoundError(`Disposition ${id} not found`);
+    }
+
+    // only the contact the recommendation is assigned to may submit it
+    if (disposition.dcp_recommendationsubmittedby !== contactId) {
+      throw new ForbiddenError(`Disposition ${id} is not assigned to this user`);
+    }
+
+    const values = validateDisposition(data.attributes, disposition.lup_roles || []);
+    const updatedDisposition = await db.one(updateDispositionQuery, {
+      id,
+      contactId,
+      updates: buildUpdates(values),
+    });
 
-  res.status(201).send(body);
+    res.send(serialize('dispositions', updatedDisposition));
+  } catch (e) {
+    sendError(res, e, 'Unable to update disposition');
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const buildProjectsSQL = require('../utils/build-projects-sql');
+const DOWNLOAD_FORMATS = require('../utils/download-formats');
+const queryFromBody = require('../middleware/query-from-body');
+const { sendError } = require('../utils/json-api');
+const BadRequestError = require('../errors/bad-request');
+const NotFoundError = require('../errors/not-found');
+
+const router = express.Router({ mergeParams: true });
+
+// finds an export job, or throws a NotFoundError
+const findJob = async (app, id) => {
+  const job = await app.exportJobs.find(id);
+
+  if (!job) throw new NotFoundError(`Export ${id} not found, it may have expired`);
+
+  return job;
+};
+
+// an export job as a JSON:API resource, with a download link once it's completed
+const serializeJob = job => ({
+  type: 'exports',
+  id: job.id,
+  attributes: {
+    format: job.format,
+    status: job.status,
+    // the fraction of projects written, once they've been counted
+    progress: job.total_rows ? job.rows_written / job.total_rows : null,
+    rows_written: job.rows_written,
+    total_rows: job.total_rows,
+    error: job.error,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+    expires_at: job.expires_at,
+  },
+  links: {
+    self: `${process.env.HOST}/exports/${job.id}`,
+    ...(job.status === 'completed' ? { download: `${process.env.HOST}/exports/${job.id}/download` } : {}),
+  },
+});
+
+/* POST /exports */
+/* queues a download file of the projects that match the filter params, for large files like shapefiles */
+router.post('/', queryFromBody, async (req, res) => {
+  const { app, query } = req;
+  const { format: filetype } = query;
+
+  try {
+    const format = DOWNLOAD_FORMATS[filetype];
+
+    if (!format) {
+      throw new BadRequestError(`Invalid format ${filetype}, must be one of ${Object.keys(DOWNLOAD_FORMATS).join(', ')}`);
+    }
+
+    const job = await app.exportJobs.enqueue(filetype, buildProjectsSQL(req, format.sqlType));
+
+    res.status(202)
+      .location(`${process.env.HOST}/exports/${job.id}`)
+      .send({ data: serializeJob(job) });
+  } catch (e) {
+    sendError(res, e, 'Unable to queue export');
+  }
+});
+
+/* GET /exports/:id */
+/* gets the status of an export job */
+router.get('/:id', async (req, res) => {
+  const { app, params } = req;
+
+  try {
+    const job = await findJob(app, params.id);
+
+    res.send({ data: serializeJob(job) });
+  } catch (e) {
+    sendError(res, e, 'Unable to retrieve export');
+  }
+});
+
+/* GET /exports/:id/download */
+/* downloads a completed export, redirecting to export storage when it can serve the file itself */
+router.get('/:id/download', async (req, res) => {
+  const { app, params } = req;
+
+  try {
+    const job = await findJob(app, params.id);
+
+    if (job.status !== 'completed') {
+      throw new BadRequestError(`Export ${params.id} is ${job.status}`, 409, 'NOT_COMPLETED');
+    }
+
+    const url = await app.exportStorage.url(job.file_key);
+
+    if (url) {
+      res.redirect(url);
+      return;
+    }
+
+    const { contentType, filename } = DOWNLOAD_FORMATS[job.format];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    app.exportStorage.createReadStream(job.file_key)
+      .on('error', (e) => {
+        console.log(`Error downloading export (id: ${params.id})`, e); // eslint-disable-line
+        res.destroy();
+      })
+      .pipe(res);
+  } catch (e) {
+    sendError(res, e, 'Unable to download export');
+  }
+});
+
+module.exports = router;
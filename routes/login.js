@@ -1,50 +1,27 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 
-const getQueryFile = require('../utils/get-query-file');
+const findIdentities = require('../utils/sessions');
+const { sendError } = require('../utils/json-api');
+const authorize = require('../middleware/authorize');
 const UnauthError = require('../errors/unauth');
 const BadRequestError = require('../errors/bad-request');
 
-const contactsFilter = getQueryFile('contacts/filter.sql');
+const { startSession, actAs, sendSession } = findIdentities;
 const router = express.Router({ mergeParams: true });
 
-const {
-  CRM_SIGNING_SECRET,
-  NYCID_CONSOLE_PASSWORD,
-  CRM_IMPOSTER_ID,
-} = process.env;
+async function getIdentities(dbClient, login) {
+  const identities = await findIdentities(dbClient, login);
 
-function validateNYCIDToken(token) {
-  try {
-    const { mail, exp } = jwt.verify(token, NYCID_CONSOLE_PASSWORD);
-    return { email: mail, expiresOn: exp };
-  } catch (e) {
-    console.log(e); // eslint-disable-line
-    throw new UnauthError(`Invalid NYCID token: ${e.message}`);
+  if (!identities.length) {
+    throw new UnauthError(`No CRM Contact found for email ${login.email}`);
   }
-}
 
-async function getContactId(dbClient, email) {
-  if (CRM_IMPOSTER_ID) return CRM_IMPOSTER_ID;
-
-  const contacts = await dbClient.any(contactsFilter, {
-    email,
-  });
-
-  if (!contacts.length) {
-    throw new UnauthError(`No CRM Contact found for email ${email}`);
-  }
-
-  if (contacts.length > 1) {
-    throw new BadRequestError(`More than one CRM Contact found for email ${email}`);
-  }
-
-  return contacts.map(contact => contact.contactid)[0];
+  return identities;
 }
 
 router.get('/', async (req, res) => {
   const {
-    app: { db },
+    app: { db, identityProvider },
     query: { accessToken },
   } = req;
 
@@ -54,15 +31,16 @@ router.get('/', async (req, res) => {
       throw new BadRequestError('accessToken required in querystring');
     }
 
-    // Validate accessToken with NYCID_CONSOLE_PASSWORD. Will also throw error if token is expired
-    const { email, expiresOn } = validateNYCIDToken(accessToken);
+    // Validate accessToken with the IDENTITY_PROVIDER, e.g. NYCID. Will also throw error if token is expired
+    const login = await identityProvider.verify(accessToken);
 
-    // Validate exactly 1 contact exists in CRM associated with email from NYCID token
-    const contactId = await getContactId(db, email);
+    // Validate at least 1 contact exists in CRM associated with email from the login, or is delegated to it
+    const identities = await getIdentities(db, login);
 
-    // Create new token indicating NYCID and CRM authentication requirements met, with same exp as NYCID token
-    const newToken = jwt.sign({ exp: expiresOn, contactId }, CRM_SIGNING_SECRET);
-    res.cookie('token', newToken, { httpOnly: true }).send({ message: 'Login successful!' });
+    // Create new short-lived token indicating identity provider and CRM authentication requirements met,
+    // which can be refreshed until the login expires. The session acts as one identity at a time, see POST /login/switch
+    const session = startSession({ expiresOn: login.expiresOn, identities });
+    sendSession(res, session, { message: 'Login successful!', identities });
   } catch (e) {
     if (e instanceof BadRequestError) {
       res.status(e.status).send({ errors: [{ code: e.code, detail: e.message }] });
@@ -73,4 +51,30 @@ router.get('/', async (req, res) => {
   }
 });
 
+/* POST /login/switch */
+/* Switches the session to another of the login's identities, by `contactId` */
+router.post('/switch', authorize('authenticated'), (req, res) => {
+  const { body: { contactId } = {} } = req;
+
+  try {
+    if (!contactId) {
+      throw new BadRequestError('contactId required in body');
+    }
+
+    sendSession(res, actAs(req.session, contactId), { message: 'Switch successful!' });
+  } catch (e) {
+    sendError(res, e, 'Unable to switch identity');
+  }
+});
+
+/* POST /login/refresh */
+/* Reissues the session's token for another SESSION_TTL seconds, up to when its login expires */
+router.post('/refresh', authorize('authenticated'), (req, res) => {
+  try {
+    sendSession(res, req.session, { message: 'Refresh successful!' });
+  } catch (e) {
+    sendError(res, e, 'Unable to refresh session');
+  }
+});
+
 module.exports = router;
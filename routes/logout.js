@@ -0,0 +1,23 @@
+const express = require('express');
+const { sessionCookieOptions } = require('../utils/sessions');
+const { sendError } = require('../utils/json-api');
+
+const router = express.Router({ mergeParams: true });
+
+/* POST /logout */
+/* Revokes the session, so its token can't be used again even if it was copied, and clears the token cookie */
+router.post('/', async (req, res) => {
+  const { app: { sessionRevocations }, session } = req;
+
+  try {
+    if (session) {
+      await sessionRevocations.revoke(session.sid, session.maxExp);
+    }
+
+    res.clearCookie('token', sessionCookieOptions()).send({ message: 'Logout successful!' });
+  } catch (e) {
+    sendError(res, e, 'Unable to logout');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const buildResourcesSQL = require('../utils/build-resources-sql');
+const serialize = require('../utils/json-api');
+const NotFoundError = require('../errors/not-found');
+
+const { parsePage } = buildResourcesSQL;
+const { sendError, pageLink } = serialize;
+
+/**
+ * Creates the routes of a kind of project record served as its own resource:
+ * GET / lists a page of the records matching the filter params, GET /:id gets one record.
+ * Filters are defined in utils/build-resources-sql.js
+ * @param {string} type - one of actions, milestones or dispositions
+ * @returns {Object} an express router
+ */
+const projectRecordsRouter = (type) => {
+  const router = express.Router({ mergeParams: true });
+
+  /* GET /{type} */
+  router.get('/', async (req, res) => {
+    const { app, query } = req;
+
+    try {
+      const rows = await app.db.any(buildResourcesSQL(type, query));
+      const [{ total = 0 } = {}] = rows;
+      const { page, offset } = parsePage(query);
+      const links = {};
+
+      if (page > 1) links.prev = pageLink(req, page - 1);
+      if (rows.length && offset + rows.length < total) links.next = pageLink(req, page + 1);
+
+      res.send(serialize(type, rows.map(({ total: rowTotal, ...record }) => record), {
+        fields: query.fields,
+        links,
+        meta: {
+          total,
+          pageTotal: rows.length,
+        },
+      }));
+    } catch (e) {
+      sendError(res, e, `Unable to list ${type}`);
+    }
+  });
+
+  /* GET /{type}/:id */
+  router.get('/:id', async (req, res) => {
+    const { app, params, query } = req;
+
+    try {
+      const record = await app.db.oneOrNone(buildResourcesSQL(type, query, params.id));
+
+      if (!record) {
+        throw new NotFoundError(`${type} ${params.id} not found`);
+      }
+
+      const { total, ...attributes } = record;
+
+      res.send(serialize(type, attributes, { fields: query.fields }));
+    } catch (e) {
+      sendError(res, e, `Unable to retrieve ${type}`);
+    }
+  });
+
+  return router;
+};
+
+module.exports = projectRecordsRouter;
@@ -1,77 +1,120 @@
 const express = require('express');
-const { parse: json2csv } = require('json2csv');
-const ogr2ogr = require('ogr2ogr');
 
 const buildProjectsSQL = require('../../utils/build-projects-sql');
-const transformActions = require('../../utils/transform-actions');
-
-// queries db and returns a FeatureCollection of the results
-const getProjectsFeatureCollection = async (app, SQL) => {
-  const projects = await app.db.any(SQL);
-  // rebuild as geojson FeatureCollection
-  return {
-    type: 'FeatureCollection',
-    features: projects.map((project) => {
-      const { geom } = project;
-      const properties = { ...project };
-      delete properties.geom;
-
-      return {
-        type: 'Feature',
-        geometry: JSON.parse(geom),
-        properties,
-      };
-    }),
-  };
-};
-
-const createShapefile = FeatureCollection => ogr2ogr(FeatureCollection)
-  .format('ESRI Shapefile')
-  .skipfailures()
-  .timeout(60000)
-  .options(['-nln', 'projects']) // sets name of individual files in shapefile
-  .stream();
+const writeDownload = require('../../utils/download-writers');
+const DOWNLOAD_FORMATS = require('../../utils/download-formats');
+const sendFeed = require('../../utils/feeds');
+const sendCalendar = require('../../utils/calendar');
+const queryFromBody = require('../../middleware/query-from-body');
+const { sendError } = require('../../utils/json-api');
+const BadRequestError = require('../../errors/bad-request');
 
+const { FEED_FORMATS, projectsFeed: buildProjectsFeed } = sendFeed;
+const { buildCalendarSQL } = sendCalendar;
 
 const router = express.Router({ mergeParams: true });
 
 /* GET /projects/download.:filetype */
 /* Downloads a file of projects that match the current query params and filetype */
-router.get('/', async (req, res) => {
+const downloadProjects = async (req, res) => {
   const { app, params } = req;
   const { filetype } = params;
 
   try {
-    if (filetype === 'csv') {
-      const SQL = buildProjectsSQL(req, 'csv_download');
-      const data = await app.db.any(SQL);
-      res.setHeader('Content-type', 'text/csv');
-
-      if (data.length) {
-        data.map(row => transformActions(row));
-        const csv = json2csv(data, { highWaterMark: 16384, encoding: 'utf-8' });
-        res.send(csv);
-      } else {
-        res.status(204).send();
-      }
-    } else { // spatial download
-      const SQL = buildProjectsSQL(req, 'spatial_download');
-      const FeatureCollection = await getProjectsFeatureCollection(app, SQL);
-      if (filetype === 'shp') { // zipped shapefile
-        res.setHeader('Content-disposition', 'attachment; filename=projects.zip');
-        res.setHeader('Content-Type', 'application/zip');
-
-        createShapefile(FeatureCollection).pipe(res);
-      }
-      if (filetype === 'geojson') { // geojson
-        res.setHeader('Content-disposition', 'attachment; filename=projects.geojson');
-        res.json(FeatureCollection);
-      }
+    const format = DOWNLOAD_FORMATS[filetype];
+
+    if (!format) {
+      throw new BadRequestError(`Invalid filetype ${filetype}, must be one of ${[...Object.keys(DOWNLOAD_FORMATS), ...Object.keys(FEED_FORMATS), 'ics'].join(', ')}`);
     }
+
+    const SQL = buildProjectsSQL(req, format.sqlType);
+
+    await writeDownload(app.db, SQL, res, format, {
+      onStart() {
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=${format.filename}`);
+      },
+      // responds with a 204 instead of an empty file when the query has no rows
+      onEmpty() {
+        if (format.noContent) res.status(204);
+      },
+    });
   } catch (error) {
+    // a download that fails partway through can only be cut short
+    if (res.headersSent) {
+      console.log('Error streaming project data:', error); // eslint-disable-line
+      res.destroy();
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
+
+    if (error instanceof BadRequestError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
     console.log('Error downloading project data:', error); // eslint-disable-line
     res.status(500).json({ error: 'Unable to complete download' });
   }
+};
+
+// the most projects a feed lists
+const MAX_FEED_ITEMS = 100;
+
+/* GET /projects.atom, GET /projects.rss */
+/* A feed of the projects that match the current query params, ordered by latest milestone */
+const projectsFeed = async (req, res) => {
+  const { app, params, query } = req;
+  const { itemsPerPage = 50 } = query;
+
+  try {
+    // feeds are public, always start from the latest milestone, and aren't paged
+    const SQL = buildProjectsSQL({
+      query: {
+        ...query,
+        sort: '-lastmilestonedate',
+        page: '1',
+        cursor: '',
+        itemsPerPage: Math.min(parseInt(itemsPerPage) || 50, MAX_FEED_ITEMS),
+      },
+      session: {},
+    });
+    const projects = await app.db.any(SQL);
+
+    sendFeed(res, FEED_FORMATS[params.filetype], buildProjectsFeed(projects, `${process.env.HOST}${req.originalUrl}`));
+  } catch (e) {
+    sendError(res, e, 'Unable to build projects feed');
+  }
+};
+
+/* GET /projects.ics */
+/* A calendar of the review periods, hearings and votes of the projects that match the current query params */
+const projectsCalendar = async (req, res) => {
+  const { app, query } = req;
+
+  try {
+    const events = await app.db.any(buildCalendarSQL({
+      from: query.from,
+      projectsQuery: buildProjectsSQL({ query, session: {} }, 'csv_download'),
+    }));
+
+    sendCalendar(res, 'ZAP projects', events);
+  } catch (e) {
+    sendError(res, e, 'Unable to build projects calendar');
+  }
+};
+
+router.get('/', (req, res) => {
+  const { filetype } = req.params;
+
+  if (filetype === 'ics') return projectsCalendar(req, res);
+  if (FEED_FORMATS[filetype]) return projectsFeed(req, res);
+
+  return downloadProjects(req, res);
 });
 
+// accepts the same params in a JSON body, for spatial filters too large for a query string
+router.post('/', queryFromBody, downloadProjects);
+
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const buildFacetsSQL = require('../../utils/build-facets-sql');
+const queryFromBody = require('../../middleware/query-from-body');
+const serialize = require('../../utils/json-api');
+
+const { FACETS } = buildFacetsSQL;
+const { sendError } = serialize;
+
+const router = express.Router({ mergeParams: true });
+
+/* GET /projects/facets */
+/* counts the projects matching the query params for each value of each filter */
+const countFacets = async (req, res) => {
+  const { app, query } = req;
+
+  try {
+    const rows = await app.db.any(buildFacetsSQL(query));
+
+    // every facet is returned, even if no projects match
+    const counts = Object.keys(FACETS)
+      .reduce((acc, facet) => ({ ...acc, [facet]: {} }), {});
+
+    rows.forEach(({ facet, value, count }) => {
+      counts[facet][value] = count;
+    });
+
+    res.send(serialize('facets', Object.keys(counts).map(facet => ({ facet, counts: counts[facet] })), {
+      fields: query.fields,
+    }));
+  } catch (e) {
+    sendError(res, e, 'Unable to count facets');
+  }
+};
+
+router.get('/', countFacets);
+
+// accepts the same params in a JSON body, for spatial filters too large for a query string
+router.post('/', queryFromBody, countFacets);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const getQueryFile = require('../../utils/get-query-file');
+const { buildChangesSQL } = require('../../utils/change-history');
+const { parsePage } = require('../../utils/build-resources-sql');
+const serialize = require('../../utils/json-api');
+const NotFoundError = require('../../errors/not-found');
+
+const { sendError, pageLink } = serialize;
+
+// import sql query templates
+const projectQuery = getQueryFile('/changes/project.sql');
+
+const router = express.Router({ mergeParams: true });
+
+/* GET /projects/:id/history */
+/* Lists changes to a public project, its milestones and actions, newest first */
+router.get('/', async (req, res) => {
+  const { app, params, query } = req;
+  const { id } = params;
+
+  try {
+    const project = await app.db.oneOrNone(projectQuery, { id });
+
+    if (!project) {
+      throw new NotFoundError(`Project ${id} not found`);
+    }
+
+    const rows = await app.db.any(buildChangesSQL(query, { projectId: id, direction: 'desc' }));
+    const [{ total = 0 } = {}] = rows;
+    const { page, offset } = parsePage(query);
+    const links = {};
+
+    if (page > 1) links.prev = pageLink(req, page - 1);
+    if (rows.length && offset + rows.length < total) links.next = pageLink(req, page + 1);
+
+    res.send(serialize('changes', rows.map(({ total: rowTotal, ...change }) => change), {
+      fields: query.fields,
+      links,
+      meta: {
+        total,
+        pageTotal: rows.length,
+      },
+    }));
+  } catch (e) {
+    sendError(res, e, 'Unable to retrieve project history');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,21 @@
 const express = require('express');
+const authorize = require('../../middleware/authorize');
 
 const router = express.Router();
 
 // base routes
 router.use('/', require('./projects'));
+// mounted before /:id so they aren't read as project ids
+router.use('/facets', require('./facets'));
+// maintenance routes, for admins and the geometry scripts' service tokens
+router.use('/new-filed', authorize('admin', 'service:geometries'), require('./new-filed'));
+router.use('/update-geometries/:id', authorize('admin', 'service:geometries'), require('./update-geometries'));
+router.use('/:id.:format', require('./project-export'));
+router.use('/:id/history', require('./history'));
 router.use('/:id', require('./project'));
 
 // subordinate routes
 router.use('/feedback', require('./feedback'));
-router.use('/new-filed', require('./new-filed'));
-router.use('/update-geometries/:id', require('./update-geometries'));
 router.use('/slack', require('./slack'));
 router.use('/tiles', require('./tiles'));
 router.use('/ceqr', require('./ceqr'));
@@ -0,0 +1,95 @@
+const express = require('express');
+const archiver = require('archiver');
+const getProject = require('../../utils/get-project');
+const PROJECT_EXPORTS = require('../../utils/project-export');
+const sendFeed = require('../../utils/feeds');
+const sendCalendar = require('../../utils/calendar');
+const { sendError } = require('../../utils/json-api');
+const BadRequestError = require('../../errors/bad-request');
+
+const router = express.Router({ mergeParams: true });
+
+const { FEED_FORMATS, projectFeed } = sendFeed;
+const { buildCalendarSQL } = sendCalendar;
+
+/* GET /projects/:id.atom, GET /projects/:id.rss */
+/* A feed of one project's milestones */
+const projectMilestonesFeed = async (req, res) => {
+  const { app, params } = req;
+
+  try {
+    const project = await getProject(app.db, params.id);
+
+    sendFeed(res, FEED_FORMATS[params.format], projectFeed(project, `${process.env.HOST}${req.originalUrl}`));
+  } catch (e) {
+    sendError(res, e, 'Unable to build project feed');
+  }
+};
+
+/* GET /projects/:id.ics */
+/* A calendar of one project's review periods, hearings and votes */
+const projectCalendar = async (req, res) => {
+  const { app, params, query } = req;
+
+  try {
+    const project = await getProject(app.db, params.id);
+    const events = await app.db.any(buildCalendarSQL({ from: query.from, projectId: project.dcp_name }));
+
+    sendCalendar(res, project.dcp_projectname, events);
+  } catch (e) {
+    sendError(res, e, 'Unable to build project calendar');
+  }
+};
+
+/* GET /projects/:id.:format */
+/* Exports one project's full record, with its related entities, as a file */
+router.get('/', async (req, res) => {
+  const { app, params } = req;
+  const { id, format } = params;
+  const projectExport = PROJECT_EXPORTS[format];
+
+  if (format === 'ics') {
+    await projectCalendar(req, res);
+    return;
+  }
+
+  if (FEED_FORMATS[format]) {
+    await projectMilestonesFeed(req, res);
+    return;
+  }
+
+  let project;
+
+  try {
+    if (!projectExport) {
+      throw new BadRequestError(`Invalid format ${format}, must be one of ${[...Object.keys(PROJECT_EXPORTS), ...Object.keys(FEED_FORMATS), 'ics'].join(', ')}`);
+    }
+
+    project = await getProject(app.db, id);
+  } catch (e) {
+    sendError(res, e, 'Unable to retrieve project');
+    return;
+  }
+
+  res.setHeader('Content-Type', projectExport.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${project.dcp_name}.${projectExport.extension}`);
+
+  if (!projectExport.files) {
+    res.send(projectExport.build(project));
+    return;
+  }
+
+  const zip = archiver('zip');
+
+  zip.on('error', (error) => {
+    console.log(`Error exporting project (id: ${id})`, error); // eslint-disable-line
+    res.destroy();
+  });
+
+  zip.pipe(res);
+  projectExport.files(project)
+    .forEach(({ name, body }) => zip.append(body, { name: `${project.dcp_name}/${name}` }));
+  zip.finalize();
+});
+
+module.exports = router;
@@ -1,11 +1,20 @@
+const crypto = require('crypto');
 const pgp = require('pg-promise');
 const express = require('express');
 const turfBbox = require('@turf/bbox');
 const turfBuffer = require('@turf/buffer');
-const shortid = require('shortid');
 
 const buildProjectsSQL = require('../../utils/build-projects-sql');
 const getQueryFile = require('../../utils/get-query-file');
+const { tileSessionId } = require('../../utils/tile-session-store');
+const buildSortQuery = require('../../utils/project-sort');
+const serialize = require('../../utils/json-api');
+const queryFromBody = require('../../middleware/query-from-body');
+const BadRequestError = require('../../errors/bad-request');
+
+const { encodeCursor } = buildSortQuery;
+const { isLupQuery } = buildProjectsSQL;
+const { sendError } = serialize;
 
 const router = express.Router({ mergeParams: true });
 
@@ -13,20 +22,94 @@ const boundingBoxQuery = getQueryFile('helpers/bounding-box-query.sql');
 
 const tileQuery = getQueryFile('helpers/tile-query.sql');
 
+// params that change which page is read, rather than which projects match
+const PAGE_PARAMS = ['page', 'cursor', 'itemsPerPage'];
+
+// identifies the filters of a POST body, which pagination links can't carry, or null for GET requests
+const bodyFiltersHash = ({ method, body }) => {
+  if (method !== 'POST') return null;
+
+  const filters = Object.keys(body || {})
+    .filter(param => !PAGE_PARAMS.includes(param))
+    .sort()
+    .map(param => [param, body[param]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify(filters)).digest('hex').slice(0, 16);
+};
+
+// builds a JSON:API pagination link for the page before or after a row, keeping the request's other query params
+const cursorLink = (req, row, { direction, sort, total }) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const filters = bodyFiltersHash(req);
+
+  url.searchParams.delete('page');
+  url.searchParams.set('cursor', encodeCursor({
+    d: direction,
+    s: sort,
+    v: row.cursor_values,
+    t: total,
+    ...(filters ? { f: filters } : {}),
+  }));
+
+  return `${process.env.HOST}${url.pathname}${url.search}`;
+};
+
 /* GET /projects */
 /* gets a JSON array of projects that match the query params */
-router.get('/', async (req, res) => {
+const listProjects = async (req, res) => {
   const {
     app,
     query,
   } = req;
 
-  const SQL = buildProjectsSQL(req);
-
   try {
-    const projects = await app.db.any(SQL);
+    const SQL = buildProjectsSQL(req);
+    // LUP dashboard tabs have their own sorts, see utils/lup-dashboard.js
+    const { sort, cursor } = isLupQuery(req) ? {} : buildSortQuery(query);
+    const itemsPerPage = parseInt(query.itemsPerPage) || 30;
+
+    // POST cursors are only valid with the body they were built from
+    if (cursor && (cursor.f || null) !== bodyFiltersHash(req)) {
+      throw new BadRequestError('Cursor does not match the requested filters');
+    }
+
+    let projects = await app.db.any(SQL);
+    let [{ total_projects: total = 0 } = {}] = projects || [];
+    const links = {};
+
+    // LUP dashboard queries are not sorted by the project sorts, so can't be paged with cursors
+    const hasCursors = !!(projects[0] && projects[0].cursor_values);
+
+    if (cursor) {
+      // cursor pages fetch one extra row to tell whether there is another page
+      const hasMore = projects.length > itemsPerPage;
+      projects = projects.slice(0, itemsPerPage);
+
+      // rows before the cursor are read in reverse
+      if (cursor.d === 'prev') projects.reverse();
+
+      // the total is carried over from the first page
+      if (cursor.t !== undefined) ({ t: total } = cursor);
+
+      if (hasCursors && (cursor.d === 'prev' || hasMore)) {
+        links.next = cursorLink(req, projects[projects.length - 1], { direction: 'next', sort, total });
+      }
+
+      if (hasCursors && (cursor.d === 'next' || hasMore)) {
+        links.prev = cursorLink(req, projects[0], { direction: 'prev', sort, total });
+      }
+    } else if (hasCursors) {
+      const offset = ((parseInt(query.page) || 1) - 1) * itemsPerPage;
+
+      if (offset + projects.length < total) {
+        links.next = cursorLink(req, projects[projects.length - 1], { direction: 'next', sort, total });
+      }
+
+      if (offset > 0) {
+        links.prev = cursorLink(req, projects[0], { direction: 'prev', sort, total });
+      }
+    }
 
-    const [{ total_projects: total = 0 } = {}] = projects || [];
     const { length = 0 } = projects;
 
     // if this is the first page of a new query, include bounds for the query's geoms, and a vector tile template
@@ -75,9 +158,9 @@ router.get('/', async (req, res) => {
         ];
       }
 
-      // create a shortid for this query and store it in the cache
-      const tileId = shortid.generate();
-      await app.tileCache.set(tileId, tileSQL);
+      // identify this query by its content, so identical filter sets reuse one tile session
+      const tileId = tileSessionId(tileSQL);
+      await app.tileSessions.set(tileId, tileSQL);
 
       tileMeta = {
         tiles: [`${process.env.HOST}/projects/tiles/${tileId}/{z}/{x}/{y}.mvt`],
@@ -86,24 +169,24 @@ router.get('/', async (req, res) => {
     }
 
     // send the response with a tile template
-    res.send({
-      data: projects.map(project => ({
-        type: 'projects',
-        id: project.dcp_name,
-        attributes: project,
-      })),
+    res.send(serialize('projects', projects.map(({ cursor_values, ...project }) => project), {
+      fields: query.fields,
+      links,
       meta: {
         total,
         pageTotal: length,
         ...tileMeta,
       },
-    });
+    }));
   } catch (e) {
-    console.log(e); // eslint-disable-line
-    res.status(404).send({
-      error: e.toString(),
-    });
+    sendError(res, e, 'Unable to list projects');
   }
-});
+};
+
+router.get('/', listProjects);
+
+/* POST /projects */
+/* same as GET /projects, with params in a JSON body, for spatial filters too large for a query string */
+router.post('/', queryFromBody, listProjects);
 
 module.exports = router;
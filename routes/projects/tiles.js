@@ -1,12 +1,17 @@
 const express = require('express');
 const SphericalMercator = require('sphericalmercator');
 const getQueryFile = require('../../utils/get-query-file');
+const getTileLayers = require('../../utils/vector-tile-layers');
+const BadRequestError = require('../../errors/bad-request');
 
 const router = express.Router();
 const mercator = new SphericalMercator();
 
 const generateVectorTile = getQueryFile('/helpers/generate-vector-tile.sql');
 
+// seconds browsers may reuse a tile before revalidating it with its ETag
+const { TILE_CACHE_MAX_AGE = 300 } = process.env;
+
 
 /* GET /projects/tiles/:tileId/:z/:x/:y.mvt */
 /* Retreive a vector tile by tileid */
@@ -20,25 +25,62 @@ router.get('/:tileId/:z/:x/:y.mvt', async (req, res) => {
     y,
   } = params;
 
-  const { type = 'centroid' } = query;
-  // retreive the projectids from the cache
-  const tileQuery = await app.tileCache.get(tileId);
-
   // calculate the bounding box for this tile
   const bbox = mercator.bbox(x, y, z, false, '900913');
 
-  const geomColumn = (type === 'centroid') ? 'centroid_3857' : 'polygons_3857';
-
   try {
-    const tile = await app.db.one(generateVectorTile, [...bbox, tileQuery, geomColumn]);
+    const { layers, fields } = getTileLayers(query);
+    const layerNames = layers.map(({ layerName }) => layerName);
+
+    // tiles only change when normalized_projects is refreshed, which bumps its data version
+    const dataVersion = await app.tileCache.getVersion();
+    const { key, etag } = app.tileCache.key(dataVersion, tileId, `${layerNames.join('+')}:${fields.join(',')}`, z, x, y);
+
+    // retreive the projectids query from the tile session store.
+    // Expired sessions 404 even for clients with a cached tile, so they start a new session
+    const tileQuery = await app.tileSessions.get(tileId);
+
+    if (!tileQuery) {
+      res.status(404).send({ error: `Tile session ${tileId} not found or expired` });
+      return;
+    }
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${TILE_CACHE_MAX_AGE}`);
+
+    // the client already has this version of the tile
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+
+    let tile = app.tileCache.get(key);
+
+    if (!tile) {
+      // a multi-layer tile is the concatenation of each layer's tile
+      const layerTiles = await Promise.all(layers.map(({ layerName, geomColumn }) => app.db.one(generateVectorTile, {
+        bbox,
+        layerName,
+        geomColumn,
+        fields,
+        tileQuery,
+      })));
+      tile = Buffer.concat(layerTiles.map(layerTile => layerTile.st_asmvt));
+      app.tileCache.set(key, tile);
+    }
 
     res.setHeader('Content-Type', 'application/x-protobuf');
 
-    if (tile.st_asmvt.length === 0) {
+    if (tile.length === 0) {
       res.status(204);
     }
-    res.send(tile.st_asmvt);
+    res.send(tile);
   } catch (error) {
+    if (error instanceof BadRequestError) {
+      res.status(error.status).send({ error: error.message });
+      return;
+    }
+
     console.log('Error generating tile', error); // eslint-disable-line
     res.status(500).send({ error: 'Unable to create tile' });
   }
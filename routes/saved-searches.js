@@ -0,0 +1,116 @@
+const express = require('express');
+const crypto = require('crypto');
+const getQueryFile = require('../utils/get-query-file');
+const { validateSavedSearch } = require('../utils/saved-searches');
+const serialize = require('../utils/json-api');
+const authorize = require('../middleware/authorize');
+const NotFoundError = require('../errors/not-found');
+
+const { sendError } = serialize;
+
+// import sql query templates
+const listSavedSearchesQuery = getQueryFile('/saved-searches/index.sql');
+const findSavedSearchQuery = getQueryFile('/saved-searches/show.sql');
+const insertSavedSearchQuery = getQueryFile('/saved-searches/insert.sql');
+const updateSavedSearchQuery = getQueryFile('/saved-searches/update.sql');
+const deleteSavedSearchQuery = getQueryFile('/saved-searches/delete.sql');
+
+const router = express.Router({ mergeParams: true });
+
+// saved searches belong to the logged-in contact
+router.use(authorize('authenticated'));
+
+// finds one of the contact's saved searches, or throws a NotFoundError
+const findSavedSearch = async (db, id, contactId) => {
+  const savedSearch = await db.oneOrNone(findSavedSearchQuery, { id, contactId });
+
+  if (!savedSearch) throw new NotFoundError(`Saved search ${id} not found`);
+
+  return savedSearch;
+};
+
+/* GET /saved-searches */
+/* Lists the logged-in contact's saved searches */
+router.get('/', async (req, res) => {
+  const { app: { db }, query: { fields } } = req;
+
+  try {
+    const { contactId } = req.session;
+    const savedSearches = await db.any(listSavedSearchesQuery, { contactId });
+
+    res.send(serialize('saved-searches', savedSearches, { fields }));
+  } catch (e) {
+    sendError(res, e, 'Unable to list saved searches');
+  }
+});
+
+/* POST /saved-searches */
+/* Saves a named set of GET /projects filters, with alerts of new and changed projects unless alerts_enabled is false */
+router.post('/', async (req, res) => {
+  const { app: { db }, body: { data = {} } } = req;
+
+  try {
+    const { contactId } = req.session;
+    const savedSearch = await db.one(insertSavedSearchQuery, {
+      id: crypto.randomBytes(16).toString('hex'),
+      contactId,
+      ...validateSavedSearch(data.attributes),
+    });
+
+    res.status(201)
+      .location(`${process.env.HOST}/saved-searches/${savedSearch.id}`)
+      .send(serialize('saved-searches', savedSearch));
+  } catch (e) {
+    sendError(res, e, 'Unable to save search');
+  }
+});
+
+/* GET /saved-searches/:id */
+router.get('/:id', async (req, res) => {
+  const { app: { db }, params: { id }, query: { fields } } = req;
+
+  try {
+    const savedSearch = await findSavedSearch(db, id, req.session.contactId);
+
+    res.send(serialize('saved-searches', savedSearch, { fields }));
+  } catch (e) {
+    sendError(res, e, 'Unable to retrieve saved search');
+  }
+});
+
+/* PATCH /saved-searches/:id */
+/* Renames a saved search, changes its filters, or turns its alerts on or off */
+router.patch('/:id', async (req, res) => {
+  const { app: { db }, params: { id }, body: { data = {} } } = req;
+
+  try {
+    const { contactId } = req.session;
+    const current = await findSavedSearch(db, id, contactId);
+    const savedSearch = await db.one(updateSavedSearchQuery, {
+      id,
+      contactId,
+      ...validateSavedSearch(data.attributes, current),
+    });
+
+    res.send(serialize('saved-searches', savedSearch));
+  } catch (e) {
+    sendError(res, e, 'Unable to update saved search');
+  }
+});
+
+/* DELETE /saved-searches/:id */
+router.delete('/:id', async (req, res) => {
+  const { app: { db }, params: { id } } = req;
+
+  try {
+    const deleted = await db.oneOrNone(deleteSavedSearchQuery, { id, contactId: req.session.contactId });
+
+    if (!deleted) throw new NotFoundError(`Saved search ${id} not found`);
+
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e, 'Unable to delete saved search');
+  }
+});
+
+module.exports = router;
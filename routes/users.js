@@ -1,5 +1,15 @@
 const express = require('express');
 const getQueryFile = require('../utils/get-query-file');
+const serialize = require('../utils/json-api');
+const sendCalendar = require('../utils/calendar');
+const authorize = require('../middleware/authorize');
+const { buildDashboardSQL, summarizeDashboard } = require('../utils/lup-dashboard');
+const { actAs } = require('../utils/sessions');
+const UnauthError = require('../errors/unauth');
+const ForbiddenError = require('../errors/forbidden');
+
+const { sendError } = serialize;
+const { buildCalendarSQL, signCalendarToken, verifyCalendarToken } = sendCalendar;
 
 const contactsFilter = getQueryFile('contacts/filter-by-id.sql');
 
@@ -8,59 +18,85 @@ const router = express.Router({ mergeParams: true });
 /**
  * Returns a list of projectIds associated with a given CRM account entity in the dcp_projectlupteam table,
  * excluding projects that only have actions that are not a part of the land-use participant's pipeline
- * (see constants.EXCLUDED_ACTION_CODES for excluded action codes)
+ * (see constants.EXCLUDED_ACTION_CODES for excluded action codes).
+ * The user is the session's active identity; its roles and the identities it can switch to are in meta
  */
-router.get('/', async (req, res) => {
+router.get('/', authorize('authenticated'), async (req, res) => {
   const {
     app: { db },
+    query: { include = 'user-project-participant-types', fields },
   } = req;
 
   try {
     const { contactId } = req.session;
-
-    if (!contactId) {
-      res.status(401).send({ error: 'Authentication required for this route' });
-      return;
-    }
-
+    const { roles, identities } = actAs(req.session, contactId);
     const contacts = await db.any(contactsFilter, {
       id: contactId,
     });
     const [firstContact] = contacts;
 
-    res.send({
-      data: {
-        type: 'users',
-        id: contactId,
-        attributes: firstContact,
-        relationships: {
-          'user-project-participant-types': {
-            data: contacts.map(contact => ({
-              id: contact.dcp_projectlupteamid,
-              type: 'user-project-participant-types',
-            })),
-          },
-        },
-      },
-      included: contacts.map(contact => ({
-        id: contact.dcp_projectlupteamid,
-        attributes: {
-          participantType: contact.dcp_lupteammemberrole,
-        },
-        type: 'user-project-participant-types',
-        relationships: {
-          project: {
-            data: {
-              id: contact.dcp_project,
-              type: 'projects',
-            },
-          },
-        },
-      })),
-    });
+    res.send(serialize('users', {
+      ...firstContact,
+      contactid: contactId,
+      participant_types: contacts,
+    }, {
+      include,
+      fields,
+      // a subscribable URL of the user's calendar, since calendar apps can't send the session cookie
+      links: { calendar: `${process.env.HOST}/users/calendar.ics?token=${signCalendarToken(contactId)}` },
+      meta: { roles, identities },
+    }));
+  } catch (e) {
+    sendError(res, e, 'Unable to retrieve user');
+  }
+});
+
+/* GET /users/calendar.ics */
+/* A calendar of the review periods, hearings and votes of the projects a land use participant is assigned to.
+   Takes the session cookie, or the token of the user's `links.calendar` URL */
+router.get('/calendar.ics', async (req, res) => {
+  const { app: { db }, query: { token, from } } = req;
+
+  try {
+    const contactId = token ? verifyCalendarToken(token) : req.session.contactId;
+
+    if (!contactId) {
+      throw new UnauthError('Authentication required for this route');
+    }
+
+    const events = await db.any(buildCalendarSQL({ from, contactId }));
+
+    sendCalendar(res, 'ZAP assigned reviews', events);
+  } catch (e) {
+    sendError(res, e, 'Unable to build user calendar');
+  }
+});
+
+/* GET /users/:id/dashboard */
+/* Summarizes a LUP contact's dashboard: how many assignments are on each tab, and each review's deadline */
+router.get('/:id/dashboard', authorize('lup'), async (req, res) => {
+  const {
+    app: { db },
+    params: { id },
+    query: { include = 'assignments', fields },
+  } = req;
+
+  try {
+    const { contactId } = req.session;
+
+    if (id !== contactId) {
+      throw new ForbiddenError('Users can only see their own dashboard');
+    }
+
+    const assignments = await db.any(buildDashboardSQL(contactId));
+
+    res.send(serialize('user-dashboards', {
+      contactid: contactId,
+      ...summarizeDashboard(assignments),
+      assignments,
+    }, { include, fields }));
   } catch (e) {
-    console.log(e); // eslint-disable-line
-    res.status(500).send({ error: e.toString() });
+    sendError(res, e, 'Unable to retrieve dashboard');
   }
 });
 
@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+const pgp = require('pg-promise')();
+const { createServiceToken } = require('../utils/service-tokens');
+
+// usage: node scripts/create-service-token.js <name> <scope,scope> [expiresInDays]
+// e.g. node scripts/create-service-token.js api_worker geometries
+const [name, scopes, expiresInDays] = process.argv.slice(2);
+
+if (!name || !scopes) {
+  console.log('Usage: node scripts/create-service-token.js <name> <scope,scope> [expiresInDays]'); // eslint-disable-line
+  process.exit(1);
+}
+
+const db = pgp(process.env.DATABASE_URL);
+
+(async () => {
+  try {
+    const serviceToken = await createServiceToken(db, {
+      name,
+      scopes: scopes.split(','),
+      expiresInDays,
+    });
+
+    // the token isn't stored, so it can only be copied now
+    console.log(`Created service token ${serviceToken.id} (${serviceToken.scopes.join(', ')}), expires ${serviceToken.expires_at.toISOString()}:`); // eslint-disable-line
+    console.log(serviceToken.token); // eslint-disable-line
+  } catch (e) {
+    console.log('Unable to create service token', e); // eslint-disable-line
+    process.exitCode = 1;
+  }
+
+  pgp.end();
+})();
@@ -0,0 +1,53 @@
+// Loads administrative boundaries from Carto into the boundaries table, replacing any already loaded.
+// Usage: node scripts/import-boundaries.js [type ...]
+// With no types, imports every type in utils/boundaries.js
+require('dotenv').config();
+const pgp = require('pg-promise')();
+
+const carto = require('../utils/carto');
+const getQueryFile = require('../utils/get-query-file');
+const { BOUNDARY_TYPES } = require('../utils/boundaries');
+
+const { DATABASE_URL } = process.env;
+const db = pgp(DATABASE_URL);
+
+const insertBoundaryQuery = getQueryFile('/boundaries/insert.sql');
+
+const importBoundaries = async (type) => {
+  const { features } = await carto.SQL(BOUNDARY_TYPES[type].cartoSQL, 'geojson', 'post');
+
+  await db.tx(async (t) => {
+    await t.none('DELETE FROM boundaries WHERE type = $1', [type]);
+    await t.batch(features
+      .filter(({ geometry }) => geometry)
+      .map(({ geometry, properties: { id, name } }) => t.none(insertBoundaryQuery, {
+        type,
+        id: `${id}`,
+        name,
+        geometry: JSON.stringify(geometry),
+      })));
+  });
+
+  console.log(`Imported ${features.length} ${type} boundaries`); // eslint-disable-line
+};
+
+(async () => {
+  const types = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(BOUNDARY_TYPES);
+  const unknownTypes = types.filter(type => !BOUNDARY_TYPES[type]);
+
+  if (unknownTypes.length) {
+    console.log(`Unknown boundary types ${unknownTypes.join(', ')}`); // eslint-disable-line
+    process.exit(1);
+  }
+
+  try {
+    for (const type of types) { // eslint-disable-line no-restricted-syntax
+      await importBoundaries(type); // eslint-disable-line no-await-in-loop
+    }
+  } catch (e) {
+    console.log(e); // eslint-disable-line
+    process.exitCode = 1;
+  }
+
+  pgp.end();
+})();
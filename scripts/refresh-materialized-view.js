@@ -6,8 +6,9 @@ const pgp = require('pg-promise')({
      (process.env.DEBUG === 'true') ? console.log(e.query) : null; // eslint-disable-line
   },
 });
+const recordChanges = require('../utils/change-history');
 
-const { DATABASE_URL, SLACK_WEBHOOK_URL } = process.env;
+const { DATABASE_URL, SLACK_WEBHOOK_URL, CHANGE_HISTORY_RETENTION_DAYS = 365 } = process.env;
 
 // initialize database connection
 const db = pgp(DATABASE_URL);
@@ -20,6 +21,10 @@ slack.send('Initializing materialized view refresh task with 30 min interval');
 
 const refreshMaterializedView = () => {
   db.query('REFRESH MATERIALIZED VIEW normalized_projects;')
+    // bump the data version so the api drops vector tiles rendered from the old data
+    .then(() => db.none("UPDATE data_versions SET version = version + 1, updated_at = now() WHERE name = 'normalized_projects';"))
+    // record what changed since the last refresh, for /changes and /projects/:id/history
+    .then(() => recordChanges(db, { retentionDays: CHANGE_HISTORY_RETENTION_DAYS }))
     .then(() => {
       console.log('Success! REFRESH MATERIALIZED VIEW normalized_projects;') // eslint-disable-line
     })
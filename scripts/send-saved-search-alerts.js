@@ -0,0 +1,57 @@
+require('dotenv').config();
+
+const SlackWebhook = require('slack-webhook');
+const pgp = require('pg-promise')({
+  query(e) {
+     (process.env.DEBUG === 'true') ? console.log(e.query) : null; // eslint-disable-line
+  },
+});
+const sendSavedSearchAlerts = require('../utils/saved-searches');
+const createAlertTransport = require('../utils/alert-transports');
+
+const {
+  DATABASE_URL,
+  SLACK_WEBHOOK_URL,
+  ALERTS_TRANSPORT,
+  ALERTS_WEBHOOK_URL,
+  ALERTS_SMTP_URL,
+  ALERTS_FROM,
+} = process.env;
+const argv = process.argv.slice(2);
+
+// initialize database connection
+const db = pgp(DATABASE_URL);
+
+// initialize slack webhook
+const slack = new SlackWebhook(SLACK_WEBHOOK_URL);
+
+const transport = createAlertTransport({
+  type: ALERTS_TRANSPORT,
+  webhookUrl: ALERTS_WEBHOOK_URL,
+  smtpUrl: ALERTS_SMTP_URL,
+  from: ALERTS_FROM,
+});
+
+// set interval
+const intervalMin = parseInt(argv[0]) || 60;
+
+slack.send(`Initializing saved search alerts task with ${intervalMin} min interval`);
+
+const sendAlerts = async () => {
+  try {
+    const { searched, sent, failed } = await sendSavedSearchAlerts(db, transport);
+
+    console.log(`Sent saved search alerts: ${sent} of ${searched} searches had new or changed projects`); // eslint-disable-line
+
+    if (failed) {
+      slack.send(`Unable to send alerts for ${failed} of ${searched} saved searches, they'll be retried next run`);
+    }
+  } catch (err) {
+    console.log(err); //eslint-disable-line
+    slack.send('ALERT: Unable to send saved search alerts');
+  }
+
+  setTimeout(sendAlerts, intervalMin * 60 /* sec */ * 1000 /* millisec */);
+};
+
+sendAlerts();
@@ -31,7 +31,7 @@ const getProjectsSQL = `
   let i = 0;
   const updateGeoms = async () => {
     const apiUrl = `http://localhost:${process.env.PORT}/projects/update-geometries/${projects[i]}`;
-    const status = await fetch(apiUrl)
+    const status = await fetch(apiUrl, { headers: { Authorization: `Bearer ${process.env.SERVICE_TOKEN}` } })
       .then(d => d.json())
       .catch(() => {
         console.log(`Something went wrong with ${projects[i]}`); // eslint-disable-line
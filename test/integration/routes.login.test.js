@@ -35,4 +35,60 @@ describe('user login callback', () => {
 
     res.status.should.equal(401);
   });
+
+  it('should not switch identities without a session', async () => {
+    const res = await chai.request(server)
+      .post('/login/switch')
+      .send({ contactId: 'someone-else' });
+
+    res.status.should.equal(401);
+  });
+
+  it('should not switch to a contact that isn\'t one of the login\'s identities', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const token = jwt.sign({
+      exp,
+      sid: 'a-session',
+      maxExp: exp,
+      contactId: 'a-contact',
+      identities: [{ contactId: 'a-contact', roles: ['CB'] }],
+    }, process.env.CRM_SIGNING_SECRET);
+
+    const res = await chai.request(server)
+      .post('/login/switch')
+      .set('Cookie', `token=${token}`)
+      .send({ contactId: 'someone-else' });
+
+    res.status.should.equal(403);
+  });
+
+  it('should not refresh a session without a session', async () => {
+    const res = await chai.request(server)
+      .post('/login/refresh');
+
+    res.status.should.equal(401);
+  });
+
+  it('should not authenticate a session after it\'s logged out', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const token = jwt.sign({
+      exp,
+      sid: `logged-out-${Date.now()}`,
+      maxExp: exp,
+      contactId: 'a-contact',
+      identities: [{ contactId: 'a-contact', roles: ['CB'] }],
+    }, process.env.CRM_SIGNING_SECRET);
+
+    const logout = await chai.request(server)
+      .post('/logout')
+      .set('Cookie', `token=${token}`);
+
+    logout.status.should.equal(200);
+
+    const res = await chai.request(server)
+      .post('/login/refresh')
+      .set('Cookie', `token=${token}`);
+
+    res.status.should.equal(401);
+  });
 });
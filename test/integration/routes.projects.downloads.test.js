@@ -55,4 +55,24 @@ describe('downloads functionality', () => {
         done();
       });
   });
+
+  it('responds to requests for atom and rss feeds', async () => {
+    const atom = await chai.request(server).get('/projects.atom?dcp_publicstatus[]=In Public Review');
+    atom.status.should.equal(200);
+    atom.type.should.equal('application/atom+xml');
+
+    const rss = await chai.request(server).get('/projects.rss?dcp_publicstatus[]=In Public Review');
+    rss.status.should.equal(200);
+    rss.type.should.equal('application/rss+xml');
+  });
+
+  it('answers conditional feed requests with a 304', async () => {
+    const feed = await chai.request(server).get('/projects.atom');
+
+    const res = await chai.request(server)
+      .get('/projects.atom')
+      .set('If-None-Match', feed.header.etag);
+
+    res.status.should.equal(304);
+  });
 });
@@ -9,12 +9,29 @@ chai.use(chaiHttp);
 
 const server = require('../../app');
 
-const { USER_API_KEY } = process.env;
+// a service token with the geometries scope, see scripts/create-service-token.js
+const { SERVICE_TOKEN } = process.env;
 
 describe('update-geometries route', () => {
+  it('should require a service token', async () => {
+    const res = await chai.request(server)
+      .get('/projects/update-geometries/P2017M0085');
+
+    res.status.should.equal(401);
+  });
+
+  it('should reject invalid service tokens', async () => {
+    const res = await chai.request(server)
+      .get('/projects/update-geometries/P2017M0085')
+      .set('Authorization', 'Bearer not-a-token');
+
+    res.status.should.equal(401);
+  });
+
   it('should respond with failure if id does not meet regex requirements', (done) => {
     chai.request(server)
-      .get(`/projects/update-geometries/P201RQ0293?API_KEY=${USER_API_KEY}`)
+      .get('/projects/update-geometries/P201RQ0293')
+      .set('Authorization', `Bearer ${SERVICE_TOKEN}`)
       .end((err, res) => {
         should.not.exist(err);
         res.status.should.equal(200);
@@ -28,7 +45,8 @@ describe('update-geometries route', () => {
 
   it('should respond failure message if project does not have BBLs', (done) => {
     chai.request(server)
-      .get(`/projects/update-geometries/P1984Y0176?API_KEY=${USER_API_KEY}`)
+      .get('/projects/update-geometries/P1984Y0176')
+      .set('Authorization', `Bearer ${SERVICE_TOKEN}`)
       .end((err, res) => {
         should.not.exist(err);
         res.status.should.equal(200);
@@ -42,7 +60,8 @@ describe('update-geometries route', () => {
 
   it('should respond success message if project is updated', (done) => {
     chai.request(server)
-      .get(`/projects/update-geometries/P2017M0085?API_KEY=${USER_API_KEY}`)
+      .get('/projects/update-geometries/P2017M0085')
+      .set('Authorization', `Bearer ${SERVICE_TOKEN}`)
       .end((err, res) => {
         should.not.exist(err);
         res.status.should.equal(200);
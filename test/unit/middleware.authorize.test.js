@@ -0,0 +1,87 @@
+const chai = require('chai');
+const authorize = require('../../middleware/authorize');
+const { hashToken } = require('../../utils/service-tokens');
+
+chai.should();
+
+const SERVICE_TOKENS = {
+  [hashToken('zap_geometries')]: { id: 't1', scopes: ['geometries'] },
+  [hashToken('zap_admin')]: { id: 't2', scopes: ['admin'] },
+};
+
+// runs a request through authorize's middleware, resolving with the response status, or 'next' if it passed
+const run = (middleware, { session = false, authorization } = {}) => new Promise((resolve) => {
+  const req = {
+    session,
+    app: { db: { oneOrNone: async (query, { tokenHash }) => SERVICE_TOKENS[tokenHash] || null } },
+    get: header => (header === 'Authorization' ? authorization : undefined),
+  };
+  const res = {
+    status(status) {
+      return { send: body => resolve({ status, body }) };
+    },
+  };
+
+  middleware(req, res, () => resolve('next'));
+});
+
+const lupSession = { contactId: 'c1', roles: ['CB'] };
+
+describe('authorize middleware', () => {
+  const { ADMIN_CONTACT_IDS } = process.env;
+
+  before(() => {
+    process.env.ADMIN_CONTACT_IDS = 'admin1,admin2';
+  });
+
+  after(() => {
+    process.env.ADMIN_CONTACT_IDS = ADMIN_CONTACT_IDS || '';
+  });
+
+  it('should pass public requests', async () => {
+    (await run(authorize('public'))).should.equal('next');
+  });
+
+  it('should require a session from authenticated routes', async () => {
+    (await run(authorize('authenticated'), { session: { contactId: 'c1', roles: [] } })).should.equal('next');
+
+    const { status, body } = await run(authorize('authenticated'));
+
+    status.should.equal(401);
+    body.errors[0].should.deep.equal({ status: '401', code: 'UNAUTH', detail: 'Authentication required for this route' });
+  });
+
+  it('should require a LUP role from LUP routes', async () => {
+    (await run(authorize('lup'), { session: lupSession })).should.equal('next');
+    (await run(authorize('lup'), { session: { contactId: 'c1', roles: [] } })).status.should.equal(403);
+    (await run(authorize('lup'))).status.should.equal(401);
+  });
+
+  it('should let admins and scoped service tokens use maintenance routes', async () => {
+    const middleware = authorize('admin', 'service:geometries');
+
+    (await run(middleware, { session: { contactId: 'admin2', roles: [] } })).should.equal('next');
+    (await run(middleware, { authorization: 'Bearer zap_geometries' })).should.equal('next');
+    (await run(middleware, { authorization: 'Bearer zap_admin' })).should.equal('next');
+
+    const { status, body } = await run(middleware, { session: lupSession });
+
+    status.should.equal(403);
+    body.errors[0].code.should.equal('FORBIDDEN');
+  });
+
+  it('should not let service tokens use routes outside their scopes', async () => {
+    (await run(authorize('service:exports'), { authorization: 'Bearer zap_geometries' })).status.should.equal(403);
+    (await run(authorize('admin'), { authorization: 'Bearer zap_geometries' })).status.should.equal(403);
+  });
+
+  it('should reject invalid and expired service tokens', async () => {
+    (await run(authorize('service:geometries'), { authorization: 'Bearer zap_unknown' })).status.should.equal(401);
+    (await run(authorize('service:geometries'), { authorization: 'Basic dXNlcjpwYXNz' })).status.should.equal(401);
+  });
+
+  it('should throw for unknown requirements', () => {
+    (() => authorize('superuser')).should.throw(Error, /Unknown route requirement superuser/);
+    (() => authorize('admin:geometries')).should.throw(Error, /Unknown route requirement/);
+  });
+});
@@ -0,0 +1,79 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const pgp = require('pg-promise');
+const dispositionsRouter = require('../../routes/dispositions/create');
+
+chai.should();
+chai.use(chaiHttp);
+
+const disposition = {
+  dcp_communityboarddispositionid: 'd1',
+  dcp_recommendationsubmittedby: 'c1',
+  lup_roles: ['CB'],
+};
+
+// an app with just the disposition routes, a fake database that formats the queries it runs, and a session
+const createApp = (session) => {
+  const app = express();
+  const queries = [];
+
+  app.db = {
+    queries,
+    async oneOrNone(query, values) {
+      queries.push(pgp.as.format(query, values));
+      return values.id === 'd1' ? disposition : null;
+    },
+    async one(query, values) {
+      queries.push(pgp.as.format(query, values));
+      return { ...disposition, dcp_votelocation: 'Borough Hall' };
+    },
+  };
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = session;
+    next();
+  });
+  app.use('/dispositions/:id', dispositionsRouter);
+
+  return app;
+};
+
+const patch = (app, id, attributes) => chai.request(app)
+  .patch(`/dispositions/${id}`)
+  .send({ data: { type: 'dispositions', id, attributes } });
+
+describe('PATCH /dispositions/:id', () => {
+  const lupSession = { contactId: 'c1', roles: ['CB'] };
+
+  it('should update the disposition\'s submitted attributes', async () => {
+    const app = createApp(lupSession);
+    const res = await patch(app, 'd1', { votelocation: 'Borough Hall', wasaquorumpresent: true, votinginfavorrecommendation: 7 });
+
+    res.status.should.equal(200);
+    res.body.data.id.should.equal('d1');
+
+    const update = app.db.queries[1];
+    update.should.have.string('SET "dcp_votelocation" = \'Borough Hall\', "dcp_wasaquorumpresent" = true, "dcp_votinginfavorrecommendation" = 7');
+    update.should.have.string("WHERE dcp_communityboarddispositionid = 'd1'");
+  });
+
+  it('should reject attributes the contact\'s role can\'t submit', async () => {
+    const res = await patch(createApp(lupSession), 'd1', { boroughpresidentrecommendation: 'Approved' });
+
+    res.status.should.equal(400);
+  });
+
+  it('should not find dispositions that aren\'t assigned to the contact', async () => {
+    const res = await patch(createApp(lupSession), 'd2', { votelocation: 'Borough Hall' });
+
+    res.status.should.equal(404);
+  });
+
+  it('should require a LUP session', async () => {
+    const res = await patch(createApp(false), 'd1', { votelocation: 'Borough Hall' });
+
+    res.status.should.equal(401);
+  });
+});
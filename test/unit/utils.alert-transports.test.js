@@ -0,0 +1,131 @@
+const net = require('net');
+const http = require('http');
+const chai = require('chai');
+const createAlertTransport = require('../../utils/alert-transports');
+
+chai.should();
+
+const digest = {
+  search: { id: 'abc', name: 'Brooklyn rezonings' },
+  email: 'planner@example.com',
+  projects: [{
+    project_id: '2019K0001',
+    dcp_projectname: 'Gowanus Neighborhood Plan',
+    dcp_publicstatus_simp: 'In Public Review',
+    change_type: 'new',
+    url: 'https://zap-api.example.com/projects/2019K0001',
+  }],
+};
+
+// a local webhook stub that records the requests it receives
+const startWebhookStub = status => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; }).on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/alerts` }));
+});
+
+// a local SMTP stub that accepts every message and records its envelope and data
+const startSmtpStub = () => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    const message = { recipients: [], data: '' };
+    let buffer = '';
+    let readingData = false;
+
+    socket.write('220 localhost ESMTP stub\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let newline = buffer.indexOf('\r\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (readingData) {
+          if (line === '.') {
+            readingData = false;
+            messages.push(message);
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.data += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^MAIL FROM:/i.test(line)) {
+          message.from = line.replace(/^MAIL FROM:/i, '');
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.recipients.push(line.replace(/^RCPT TO:/i, ''));
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          readingData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+
+        newline = buffer.indexOf('\r\n');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, url: `smtp://127.0.0.1:${server.address().port}` }));
+});
+
+describe('alert transports', () => {
+  it('should POST digests to a webhook', async () => {
+    const stub = await startWebhookStub(204);
+
+    try {
+      await createAlertTransport({ type: 'webhook', webhookUrl: stub.url }).send(digest);
+
+      stub.requests.should.have.length(1);
+      stub.requests[0].method.should.equal('POST');
+      stub.requests[0].headers['content-type'].should.equal('application/json');
+      stub.requests[0].body.should.deep.equal(digest);
+    } finally {
+      stub.server.close();
+    }
+  });
+
+  it('should reject when a webhook fails', async () => {
+    const stub = await startWebhookStub(500);
+
+    try {
+      await createAlertTransport({ type: 'webhook', webhookUrl: stub.url }).send(digest)
+        .then(() => { throw new Error('should have rejected'); }, e => e.message.should.have.string('500'));
+    } finally {
+      stub.server.close();
+    }
+  });
+
+  it('should email digests over SMTP', async () => {
+    const stub = await startSmtpStub();
+
+    try {
+      await createAlertTransport({ type: 'smtp', smtpUrl: stub.url, from: 'zap@example.com' }).send(digest);
+
+      stub.messages.should.have.length(1);
+      stub.messages[0].from.should.have.string('zap@example.com');
+      stub.messages[0].recipients.should.deep.equal(['<planner@example.com>']);
+      stub.messages[0].data.should.have.string('Subject: ZAP saved search: Brooklyn rezonings');
+      stub.messages[0].data.should.have.string('- [new] Gowanus Neighborhood Plan (In Public Review)');
+    } finally {
+      stub.server.close();
+    }
+  });
+
+  it('should reject unknown transports', () => {
+    (() => createAlertTransport({ type: 'pager' })).should.throw(/Unknown alert transport pager/);
+  });
+});
@@ -0,0 +1,33 @@
+const chai = require('chai');
+const buildBoundaryFilters = require('../../utils/boundaries');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+
+chai.should();
+
+describe('boundary filters', () => {
+  it('should not filter when no boundaries are selected', () => {
+    buildBoundaryFilters({}).should.deep.equal({
+      'council-districts': '',
+      ntas: '',
+      'zoning-districts': '',
+    });
+  });
+
+  it('should spatially join projects to the selected boundaries', () => {
+    const filters = buildBoundaryFilters({ 'council-districts': ['3', '33'], ntas: 'BK09' });
+
+    filters['council-districts'].should.equal("AND EXISTS (SELECT 1 FROM boundaries b WHERE b.type = 'council-districts' AND b.id IN ('3','33') AND ST_Intersects(b.geom, c.polygons))");
+    filters.ntas.should.have.string("b.type = 'ntas' AND b.id IN ('BK09')");
+    filters['zoning-districts'].should.equal('');
+  });
+
+  it('should combine with the other project filters', () => {
+    const SQL = buildProjectsSQL({
+      query: { 'zoning-districts': ['R6'], boroughs: ['Brooklyn'] },
+      session: false,
+    }, 'projectids');
+
+    SQL.should.have.string("b.type = 'zoning-districts' AND b.id IN ('R6')");
+    SQL.should.have.string("dcp_borough ilike any (array['%Brooklyn%'])");
+  });
+});
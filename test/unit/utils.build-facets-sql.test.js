@@ -0,0 +1,64 @@
+const chai = require('chai');
+const buildFacetsSQL = require('../../utils/build-facets-sql');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+
+const { FACETS } = buildFacetsSQL;
+
+chai.should();
+
+// splits the facets query into the subquery for each facet
+const facetQueries = SQL => SQL.split('\nUNION ALL\n')
+  .reduce((acc, facetSQL) => ({ ...acc, [facetSQL.match(/^SELECT '([^']+)'/)[1]]: facetSQL }), {});
+
+describe('build facets sql', () => {
+  it('should count every facet', () => {
+    Object.keys(facetQueries(buildFacetsSQL({})))
+      .should.deep.equal(Object.keys(FACETS));
+  });
+
+  it('should leave out each facet\'s own filter', () => {
+    const queries = facetQueries(buildFacetsSQL({
+      boroughs: ['Manhattan'],
+      dcp_publicstatus: ['Filed'],
+      dcp_femafloodzonev: 'true',
+    }));
+
+    queries.boroughs.should.not.have.string("dcp_borough ilike any (array['%Manhattan%'])");
+    queries.boroughs.should.have.string("IN ('Filed')");
+    queries.boroughs.should.have.string('AND dcp_femafloodzonev = true');
+
+    queries.dcp_publicstatus.should.not.have.string("IN ('Filed')");
+    queries.dcp_publicstatus.should.have.string("dcp_borough ilike any (array['%Manhattan%'])");
+
+    queries.dcp_femafloodzonev.should.not.have.string('AND dcp_femafloodzonev = true');
+  });
+
+  it('should filter projects by the CEQR types the dcp_ceqrtype facet counts', () => {
+    const query = { dcp_ceqrtype: ['Type I', 'Unknown'] };
+    const filter = "AND coalesce(dcp_ceqrtype, 'Unknown') IN ('Type I','Unknown')";
+
+    buildProjectsSQL({ query, session: false }, 'projectids').should.have.string(filter);
+    facetQueries(buildFacetsSQL(query)).dcp_publicstatus.should.have.string(filter);
+    facetQueries(buildFacetsSQL(query)).dcp_ceqrtype.should.not.have.string(filter);
+    buildProjectsSQL({ query: {}, session: false }, 'projectids').should.not.have.string('dcp_ceqrtype, \'Unknown\') IN');
+  });
+
+  it('should apply the same filters as the projects list', () => {
+    const query = {
+      'action-types': ['ZM'],
+      project_applicant_text: 'hudson',
+      block: '1234',
+    };
+    const facetsSQL = buildFacetsSQL(query);
+    const projectsSQL = buildProjectsSQL({ query, session: false }, 'projectids');
+
+    [
+      "actiontypes ilike any (array['%ZM%'])",
+      "p.search_vector @@ to_tsquery('english', 'hudson')",
+      "blocks ilike '%1234%'",
+    ].forEach((filter) => {
+      projectsSQL.should.have.string(filter);
+      facetQueries(facetsSQL).dcp_publicstatus.should.have.string(filter);
+    });
+  });
+});
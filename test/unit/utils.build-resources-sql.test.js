@@ -0,0 +1,64 @@
+const chai = require('chai');
+const buildResourcesSQL = require('../../utils/build-resources-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { parsePage } = buildResourcesSQL;
+
+chai.should();
+
+describe('build resources SQL', () => {
+  it('should filter actions by action code, status and project milestones', () => {
+    const SQL = buildResourcesSQL('actions', {
+      actioncode: ['ZM'],
+      status: 'Approved',
+      milestones: { 'City Council Review': { from: '2019-01-01', to: '2019-12-31' } },
+    });
+
+    SQL.should.have.string("AND SUBSTRING(a.dcp_name FROM '^(\\w+)') IN ('ZM')");
+    SQL.should.have.string("AND a.statuscode IN ('Approved')");
+    SQL.should.have.string("mm.dcp_milestone = 'a63beec4-dad0-e711-8116-1458d04e2fb8'");
+    SQL.should.have.string('LIMIT 30 OFFSET 0');
+  });
+
+  it('should only list actions with public action codes', () => {
+    buildResourcesSQL('actions').should.have.string("AND SUBSTRING(a.dcp_name FROM '^(\\w+)') IN ('BD','BF',");
+    buildResourcesSQL('actions', {}, 'a1').should.have.string("IN ('BD','BF',");
+  });
+
+  it('should filter milestones by type and date range', () => {
+    const SQL = buildResourcesSQL('milestones', {
+      milestone: 'City Planning Commission Vote',
+      from: '2019-01-01',
+      to: '2019-01-31',
+    });
+
+    SQL.should.have.string("AND mm.dcp_milestone IN ('a43beec4-dad0-e711-8116-1458d04e2fb8')");
+    SQL.should.have.string('AND COALESCE(mm.dcp_actualenddate, mm.dcp_actualstartdate) >= to_timestamp(1546300800)');
+    SQL.should.have.string('AND COALESCE(mm.dcp_actualstartdate, mm.dcp_actualenddate) <= to_timestamp(1548979199)');
+    SQL.should.have.string('"a43beec4-dad0-e711-8116-1458d04e2fb8":"City Planning Commission Vote"');
+  });
+
+  it('should reject unknown milestone types', () => {
+    (() => buildResourcesSQL('milestones', { milestone: 'Lunch' })).should.throw(BadRequestError, /Invalid milestone Lunch/);
+  });
+
+  it('should filter dispositions by project and ULURP number', () => {
+    const SQL = buildResourcesSQL('dispositions', { project: ['P2017M0085', 'P2018K0356'], ulurpnumber: '190001ZMM' });
+
+    SQL.should.have.string("AND p.dcp_name IN ('P2017M0085','P2018K0356')");
+    SQL.should.have.string("AND a.dcp_ulurpnumber IN ('190001ZMM')");
+  });
+
+  it('should select one record by id without pagination or filters', () => {
+    const SQL = buildResourcesSQL('actions', { actioncode: 'ZM' }, "a1'");
+
+    SQL.should.have.string("AND a.dcp_projectactionid = 'a1'''");
+    SQL.should.not.have.string("IN ('ZM')");
+    SQL.should.not.have.string('LIMIT');
+  });
+
+  it('should limit page sizes', () => {
+    parsePage({ page: '3', itemsPerPage: '50' }).should.deep.equal({ page: 3, perPage: 50, offset: 100 });
+    parsePage({ page: '0', itemsPerPage: '5000' }).should.deep.equal({ page: 1, perPage: 1000, offset: 0 });
+  });
+});
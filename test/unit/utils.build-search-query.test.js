@@ -0,0 +1,65 @@
+const chai = require('chai');
+const buildSearchQuery = require('../../utils/build-search-query');
+const buildSortQuery = require('../../utils/project-sort');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { buildIdentifierPattern } = buildSearchQuery;
+
+chai.should();
+
+describe('build search query', () => {
+  it('should require every word to match', () => {
+    buildSearchQuery('Hudson  Yards').should.equal('hudson & yards');
+  });
+
+  it('should match quoted text as a phrase', () => {
+    buildSearchQuery('"hudson yards" rezoning').should.equal('(hudson <-> yards) & rezoning');
+  });
+
+  it('should match a prefix for words ending in *', () => {
+    buildSearchQuery('rezon* east-harlem*').should.equal('rezon:* & (east <-> harlem:*)');
+  });
+
+  it('should strip tsquery syntax from user input', () => {
+    buildSearchQuery("!brooklyn | (queens) & ' :").should.equal('brooklyn & queens');
+    buildSearchQuery('').should.equal('');
+  });
+
+  it('should match partial identifiers anywhere', () => {
+    buildIdentifierPattern(' 190001 ').should.equal('%190001%');
+    buildIdentifierPattern('19DCP').should.equal('%19DCP%');
+    (buildIdentifierPattern('hudson') === null).should.equal(true);
+    (buildIdentifierPattern('1000 broadway') === null).should.equal(true);
+    (buildIdentifierPattern('19%') === null).should.equal(true);
+  });
+
+  it('should join repeated search params', () => {
+    buildSearchQuery(['hudson', 'yards']).should.equal('hudson & yards');
+    buildIdentifierPattern(['190001']).should.equal('%190001%');
+    (buildIdentifierPattern(['190001', 'hudson']) === null).should.equal(true);
+    buildProjectsSQL({ query: { project_applicant_text: ['hudson', 'yards'] }, session: false }, 'projectids')
+      .should.have.string("to_tsquery('english', 'hudson & yards')");
+  });
+
+  it('should search ULURP numbers, CEQR numbers and BBLs for identifier-like text', () => {
+    buildProjectsSQL({ query: { project_applicant_text: '190001Z' }, session: false }, 'projectids').should.have.string(
+      "AND (p.search_vector @@ to_tsquery('english', '190001z') OR ulurpnumbers ILIKE '%190001Z%' OR dcp_ceqrnumber ILIKE '%190001Z%' OR bbls ILIKE '%190001Z%')",
+    );
+    buildProjectsSQL({ query: { project_applicant_text: 'hudson' }, session: false }, 'projectids')
+      .should.not.have.string('ILIKE \'%hudson%\'');
+  });
+
+  it('should always sort by relevance descending', () => {
+    const { sort, orderBy } = buildSortQuery({ sort: 'relevance', project_applicant_text: 'hudson' });
+
+    sort.should.equal('-relevance');
+    orderBy.should.have.string("ts_rank(p.search_vector, to_tsquery('english', 'hudson'))");
+    orderBy.should.match(/DESC$/);
+  });
+
+  it('should require search text to sort by relevance', () => {
+    (() => buildSortQuery({ sort: '-relevance' }))
+      .should.throw(BadRequestError, /requires project_applicant_text/);
+  });
+});
@@ -0,0 +1,95 @@
+const chai = require('chai');
+const jwt = require('jsonwebtoken');
+const sendCalendar = require('../../utils/calendar');
+
+const {
+  buildCalendarSQL,
+  buildCalendar,
+  signCalendarToken,
+  verifyCalendarToken,
+} = sendCalendar;
+
+chai.should();
+
+const events = [{
+  uid: 'milestone-m1',
+  projectid: 'P2019K0001',
+  dcp_projectname: 'Gowanus Neighborhood Plan, Phase 1; Canal',
+  event_name: 'Community Board Review',
+  start_date: new Date(2019, 5, 20),
+  end_date: new Date(2019, 7, 18),
+  location: null,
+  tentative: false,
+}, {
+  uid: 'hearing-d1',
+  projectid: 'P2019K0001',
+  dcp_projectname: 'Gowanus Neighborhood Plan',
+  event_name: 'CB Public Hearing',
+  start_date: new Date(2019, 6, 1, 18, 30),
+  end_date: new Date(2019, 6, 1, 18, 30),
+  location: 'P.S. 32, 317 Hoyt Street, Brooklyn and a very long location that needs to be folded over more than one line',
+  tentative: true,
+}];
+
+describe('calendar', () => {
+  it('should build all-day events for review periods, hearings and votes', () => {
+    const ics = buildCalendar('ZAP public reviews', events);
+
+    ics.should.match(/^BEGIN:VCALENDAR\r\nVERSION:2.0\r\n/);
+    ics.should.match(/END:VCALENDAR\r\n$/);
+    ics.should.have.string('X-WR-CALNAME:ZAP public reviews\r\n');
+    ics.should.have.string('UID:milestone-m1@zap.planning.nyc.gov\r\n');
+    ics.should.have.string('DTSTART;VALUE=DATE:20190620\r\nDTEND;VALUE=DATE:20190819\r\n');
+    ics.should.have.string('DTSTART;VALUE=DATE:20190701\r\nDTEND;VALUE=DATE:20190702\r\n');
+    ics.should.have.string('SUMMARY:Community Board Review: Gowanus Neighborhood Plan\\, Phase 1\\; Canal\r\n');
+    ics.should.have.string('STATUS:TENTATIVE');
+    ics.match(/BEGIN:VEVENT/g).should.have.length(2);
+  });
+
+  it('should fold lines longer than 75 octets', () => {
+    const lines = buildCalendar('ZAP public reviews', events).split('\r\n');
+
+    lines.every(line => Buffer.byteLength(line) <= 75).should.equal(true);
+    lines.find(line => line.startsWith('LOCATION:')).should.have.string('P.S. 32\\, 317 Hoyt Street');
+    lines.some(line => line.startsWith(' ')).should.equal(true);
+  });
+
+  it('should list the events of matching projects, a project or a land use participant', () => {
+    buildCalendarSQL({ projectsQuery: 'SELECT dcp_name FROM normalized_projects' })
+      .should.have.string('AND projectid IN (SELECT dcp_name FROM (SELECT dcp_name FROM normalized_projects) projects)');
+    buildCalendarSQL({ projectId: 'P2019K0001' }).should.have.string("AND projectid = 'P2019K0001'");
+    buildCalendarSQL({ contactId: 'c1' }).should.have.string("WHERE lup.dcp_lupteammember = 'c1'");
+  });
+
+  it('should list events from a date', () => {
+    const SQL = buildCalendarSQL({ from: '2019-06-01' });
+
+    SQL.should.have.string('>= to_timestamp(1559347200)');
+    SQL.should.have.string('"923beec4-dad0-e711-8116-1458d04e2fb8":"Community Board Review"');
+  });
+
+  it('should only accept calendar tokens', () => {
+    process.env.CRM_SIGNING_SECRET = process.env.CRM_SIGNING_SECRET || 'test-secret';
+
+    const token = signCalendarToken('c1');
+
+    verifyCalendarToken(token).should.equal('c1');
+    jwt.decode(token).exp.should.be.above(Math.floor(Date.now() / 1000));
+    (verifyCalendarToken('not-a-token') === null).should.equal(true);
+
+    // session tokens aren't calendar tokens, and calendar tokens aren't session tokens
+    const sessionToken = jwt.sign({ contactId: 'c1' }, process.env.CRM_SIGNING_SECRET);
+    (verifyCalendarToken(sessionToken) === null).should.equal(true);
+    (() => jwt.verify(token, process.env.CRM_SIGNING_SECRET)).should.throw(/invalid signature/);
+  });
+
+  it('should not accept expired calendar tokens', () => {
+    process.env.CRM_SIGNING_SECRET = process.env.CRM_SIGNING_SECRET || 'test-secret';
+    process.env.CALENDAR_TOKEN_TTL_DAYS = '-1';
+
+    const token = signCalendarToken('c1');
+    delete process.env.CALENDAR_TOKEN_TTL_DAYS;
+
+    (verifyCalendarToken(token) === null).should.equal(true);
+  });
+});
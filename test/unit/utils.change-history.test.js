@@ -0,0 +1,104 @@
+const chai = require('chai');
+const recordChanges = require('../../utils/change-history');
+const BadRequestError = require('../../errors/bad-request');
+
+const { buildChangesSQL } = recordChanges;
+
+chai.should();
+
+// a fake pg-promise database that records the queries run in its transaction
+const fakeDb = (hasSnapshots) => {
+  const queries = [];
+  const t = {
+    none: (query, values) => {
+      queries.push({ query: query.file || query, values });
+      return Promise.resolve();
+    },
+    one: (query, values) => {
+      queries.push({ query: query.file, values });
+      return Promise.resolve({ has_snapshots: hasSnapshots });
+    },
+  };
+
+  return { queries, tx: callback => callback(t) };
+};
+
+const queryNames = queries => queries
+  .map(({ query }) => (query.match(/changes\/([\w-]+)\.sql$/) || ['', 'current-records'])[1]);
+
+describe('change history', () => {
+  it('should record changes to each record type, then purge old changes', async () => {
+    const db = fakeDb(true);
+
+    await recordChanges(db, { retentionDays: '30' });
+
+    queryNames(db.queries).should.deep.equal([
+      'create-current-records', 'has-snapshots', 'insert-changes', 'update-snapshots',
+      'create-current-records', 'has-snapshots', 'insert-changes', 'update-snapshots',
+      'create-current-records', 'has-snapshots', 'insert-changes', 'update-snapshots',
+      'purge',
+    ]);
+    db.queries.filter(({ values }) => values && values.type).map(({ values }) => values.type)
+      .should.include.members(['projects', 'milestones', 'actions']);
+    db.queries[db.queries.length - 1].values.should.deep.equal({ retentionDays: 30 });
+  });
+
+  it('should only take snapshots the first time a record type is seen', async () => {
+    const db = fakeDb(false);
+
+    await recordChanges(db);
+
+    queryNames(db.queries).should.not.include('insert-changes');
+    queryNames(db.queries).filter(name => name === 'update-snapshots').should.have.length(3);
+  });
+
+  it('should select the current milestones by their display names', async () => {
+    const db = fakeDb(true);
+
+    await recordChanges(db);
+
+    const { values: { currentQuery } } = db.queries[4];
+    currentQuery.should.have.string('"a43beec4-dad0-e711-8116-1458d04e2fb8":"City Planning Commission Vote"');
+    currentQuery.should.have.string("mm.dcp_milestone IN ('");
+  });
+
+  it('should only select the current actions with public action codes', async () => {
+    const db = fakeDb(true);
+
+    await recordChanges(db);
+
+    db.queries[8].values.currentQuery.should.have.string("IN ('BD','BF',");
+  });
+
+  it('should filter changes by date, type and project', () => {
+    const SQL = buildChangesSQL({
+      since: '2019-06-01T12:00:00.250Z',
+      until: '2019-06-30',
+      type: ['milestones', 'actions'],
+    }, { projectId: 'P2017M0085', direction: 'desc' });
+
+    SQL.should.have.string("AND ch.project_id = 'P2017M0085'");
+    SQL.should.have.string('AND ch.changed_at > to_timestamp(1559390400.25)');
+    SQL.should.have.string('AND ch.changed_at <= to_timestamp(1561939199)');
+    SQL.should.have.string("AND ch.record_type IN ('milestones','actions')");
+    SQL.should.have.string('ORDER BY ch.changed_at DESC, ch.id DESC');
+  });
+
+  it('should list changes oldest first by default', () => {
+    const SQL = buildChangesSQL({ since: '1559390400', page: '2', itemsPerPage: '50' });
+
+    SQL.should.have.string('AND ch.changed_at > to_timestamp(1559390400)');
+    SQL.should.have.string('ORDER BY ch.changed_at ASC, ch.id ASC');
+    SQL.should.have.string('LIMIT 50 OFFSET 50');
+  });
+
+  it('should list the changes after the id of the last change seen', () => {
+    buildChangesSQL({ since_id: '1042' }).should.have.string("AND ch.id > '1042'");
+  });
+
+  it('should reject unknown record types, dates and change ids', () => {
+    (() => buildChangesSQL({ type: 'dispositions' })).should.throw(BadRequestError, /Invalid type dispositions/);
+    (() => buildChangesSQL({ since: 'yesterday' })).should.throw(BadRequestError);
+    (() => buildChangesSQL({ since_id: '1 OR 1=1' })).should.throw(BadRequestError, /Invalid since_id/);
+  });
+});
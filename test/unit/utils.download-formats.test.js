@@ -0,0 +1,84 @@
+const os = require('os');
+const chai = require('chai');
+const { Readable, pipeline } = require('stream');
+const DOWNLOAD_FORMATS = require('../../utils/download-formats');
+
+const { shortenFieldNames } = DOWNLOAD_FORMATS;
+
+chai.should();
+
+const rows = [
+  { dcp_name: 'P2017M0085', actiontypes: 'ZM;ZR', geom: '{"type":"Point","coordinates":[-73.98,40.75]}' },
+  { dcp_name: 'P2018K0356', actiontypes: null, geom: null },
+];
+
+// runs rows through a download format's streams and collects the output
+const download = (filetype, input) => new Promise((resolve, reject) => {
+  let output = '';
+  const serializers = DOWNLOAD_FORMATS[filetype].streams();
+  const source = new Readable({ objectMode: true, read() {} });
+
+  serializers[serializers.length - 1].on('data', (chunk) => { output += chunk; });
+  pipeline(source, ...serializers, error => (error ? reject(error) : resolve(output)));
+
+  input.forEach(row => source.push({ ...row }));
+  source.push(null);
+});
+
+describe('download formats', () => {
+  it('should stream csv with a header row and expanded action types', async () => {
+    const { geom, ...row } = rows[0]; // eslint-disable-line no-unused-vars
+    const csv = await download('csv', [row, { dcp_name: 'P2018K0356', actiontypes: null }]);
+
+    csv.split(os.EOL).should.deep.equal([
+      '"dcp_name","actiontypes"',
+      '"P2017M0085","Zoning Map Amendment;Zoning Text Amendment "',
+      '"P2018K0356",""',
+    ]);
+  });
+
+  it('should stream a geojson FeatureCollection', async () => {
+    const geojson = JSON.parse(await download('geojson', rows));
+
+    geojson.type.should.equal('FeatureCollection');
+    geojson.features.length.should.equal(2);
+    geojson.features[0].geometry.should.deep.equal({ type: 'Point', coordinates: [-73.98, 40.75] });
+    geojson.features[0].properties.should.deep.equal({ dcp_name: 'P2017M0085', actiontypes: 'ZM;ZR' });
+    (geojson.features[1].geometry === null).should.equal(true);
+  });
+
+  it('should stream an empty FeatureCollection when no projects match', async () => {
+    JSON.parse(await download('geojson', [])).features.should.deep.equal([]);
+  });
+
+  it('should stream one feature per line for newline-delimited geojson', async () => {
+    const lines = (await download('ndjson', rows)).split('\n');
+
+    lines.length.should.equal(2);
+    lines.map(line => JSON.parse(line).properties.dcp_name).should.deep.equal(['P2017M0085', 'P2018K0356']);
+  });
+
+  it('should shorten shapefile field names to unique names of at most 10 characters', () => {
+    const names = shortenFieldNames([
+      'geom',
+      'dcp_name',
+      'dcp_femafloodzonecoastala',
+      'dcp_projectcompleted',
+      'dcp_projectcompletedate',
+    ]);
+
+    names.should.deep.equal({
+      geom: 'geom',
+      dcp_name: 'dcp_name',
+      dcp_femafloodzonecoastala: 'fema_coast',
+      dcp_projectcompleted: 'projectcom',
+      dcp_projectcompletedate: 'projectco1',
+    });
+  });
+
+  it('should stream shapefile features with short field names', async () => {
+    const { features } = JSON.parse(await download('shp', [{ ...rows[0], dcp_projectname: 'Hudson Yards' }]));
+
+    features[0].properties.should.deep.equal({ dcp_name: 'P2017M0085', actiontype: 'ZM;ZR', projname: 'Hudson Yards' });
+  });
+});
@@ -0,0 +1,145 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const chai = require('chai');
+const { Readable } = require('stream');
+const createExportJobs = require('../../utils/export-jobs');
+const createExportStorage = require('../../utils/export-storage');
+
+const should = chai.should();
+
+const readStream = stream => new Promise((resolve, reject) => {
+  let output = '';
+  stream.on('data', (chunk) => { output += chunk; }).on('end', () => resolve(output)).on('error', reject);
+});
+
+// a fake database with one queued csv job, recording the queries it runs
+const fakeDB = (rows) => {
+  const queries = [];
+  let queued = [{ id: 'abc', format: 'csv', projects_query: 'SELECT * FROM projects' }];
+
+  const record = (query, values) => {
+    queries.push({ query: query.toString(), values });
+  };
+
+  return {
+    queries,
+    async one(query, values) {
+      record(query, values);
+      return query.toString().includes('count(*)') ? { total: rows.length } : { id: values.id, status: 'queued' };
+    },
+    async oneOrNone(query, values) {
+      record(query, values);
+      if (!query.toString().includes('SKIP LOCKED')) return null;
+
+      const [job] = queued;
+      queued = [];
+      return job || null;
+    },
+    async none(query, values) {
+      record(query, values);
+    },
+    async any(query, values) {
+      record(query, values);
+      return [{ file_key: 'expired.csv' }, { file_key: null }];
+    },
+    async stream(query, callback) {
+      const source = new Readable({ objectMode: true, read() {} });
+      callback(source);
+      rows.forEach(row => source.push({ ...row }));
+      source.push(null);
+    },
+  };
+};
+
+// waits for a job to complete or fail
+const finished = db => new Promise((resolve) => {
+  const check = () => {
+    const done = db.queries.find(({ query }) => /status = '(completed|failed)'/.test(query));
+    return done ? resolve(done) : setTimeout(check, 10);
+  };
+
+  check();
+});
+
+describe('export jobs', () => {
+  const dir = path.join(os.tmpdir(), `zap-exports-test-${process.pid}`);
+  const storage = createExportStorage({ dir });
+
+  it('should run a queued job, writing its file to storage', async () => {
+    const db = fakeDB([{ dcp_name: 'P2017M0085', actiontypes: 'ZM' }, { dcp_name: 'P2018K0356', actiontypes: null }]);
+    const exportJobs = createExportJobs(db, storage);
+
+    const job = await exportJobs.enqueue('csv', 'SELECT * FROM projects');
+    const { query, values } = await finished(db);
+
+    job.status.should.equal('queued');
+    query.should.have.string("status = 'completed'");
+    values.should.include({ id: 'abc', rowsWritten: 2, fileKey: 'abc.csv' });
+
+    (await readStream(storage.createReadStream('abc.csv'))).should.equal(`"dcp_name","actiontypes"${os.EOL}"P2017M0085","Zoning Map Amendment"${os.EOL}"P2018K0356",""`);
+    should.not.exist(await storage.url('abc.csv'));
+
+    await storage.remove('abc.csv');
+  });
+
+  it('should fail a job that errors', async () => {
+    const db = fakeDB([]);
+    db.stream = async () => { throw new Error('query failed'); };
+
+    const exportJobs = createExportJobs(db, storage);
+    const { log } = console;
+
+    console.log = () => {}; // eslint-disable-line no-console
+    await exportJobs.poll();
+    const { query, values } = await finished(db);
+    console.log = log; // eslint-disable-line no-console
+
+    query.should.have.string("status = 'failed'");
+    values.should.deep.equal({ id: 'abc', error: 'Unable to complete export' });
+  });
+
+  it('should fail a job that runs past the timeout', async () => {
+    const db = fakeDB([]);
+    db.stream = async (query, callback) => callback(new Readable({ objectMode: true, read() {} }));
+
+    const exportJobs = createExportJobs(db, storage, { timeout: 0 });
+    const { log } = console;
+
+    console.log = () => {}; // eslint-disable-line no-console
+    await exportJobs.poll();
+    const { query, values } = await finished(db);
+    console.log = log; // eslint-disable-line no-console
+
+    query.should.have.string("status = 'failed'");
+    values.should.deep.equal({ id: 'abc', error: 'Export timed out' });
+    db.queries.filter(({ query: q }) => q.includes("status = 'completed'")).should.have.length(0);
+  });
+
+  it('should purge expired jobs and their files', async () => {
+    const db = fakeDB([]);
+    const exportJobs = createExportJobs(db, storage, { timeout: '60' });
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'expired.csv'), 'dcp_name');
+
+    await exportJobs.purge();
+
+    db.queries[0].query.should.have.string("error = 'Export was interrupted'");
+    db.queries[0].query.should.have.string('COALESCE(heartbeat_at, started_at) <');
+    db.queries[0].values.should.deep.equal({ staleAfter: 90 });
+    db.queries[1].query.should.have.string('DELETE FROM export_jobs');
+    fs.existsSync(path.join(dir, 'expired.csv')).should.equal(false);
+  });
+
+  it('should keep local files inside the storage directory', async () => {
+    const filePath = path.join(os.tmpdir(), `zap-export-test-${process.pid}.csv`);
+
+    fs.writeFileSync(filePath, 'dcp_name');
+    await storage.put('../outside.csv', filePath);
+    fs.unlinkSync(filePath);
+
+    fs.existsSync(path.join(dir, 'outside.csv')).should.equal(true);
+    await storage.remove('../outside.csv');
+  });
+});
@@ -0,0 +1,94 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const sendFeed = require('../../utils/feeds');
+
+const { FEED_FORMATS, projectsFeed, projectFeed } = sendFeed;
+
+chai.use(chaiHttp);
+const should = chai.should();
+
+const projects = [{
+  dcp_name: 'P2019K0001',
+  dcp_projectname: 'Gowanus <Neighborhood> Plan & Rezoning',
+  dcp_projectbrief: 'A rezoning of the Gowanus canal area',
+  dcp_publicstatus_simp: 'In Public Review',
+  lastmilestonedate: new Date('2019-06-20T00:00:00Z'),
+}, {
+  dcp_name: 'P2019K0002',
+  dcp_projectname: 'No milestones yet',
+  dcp_publicstatus_simp: 'Filed',
+  lastmilestonedate: null,
+}];
+
+const project = {
+  dcp_name: 'P2019K0001',
+  dcp_projectname: 'Gowanus Neighborhood Plan',
+  milestones: [{
+    dcp_projectmilestoneid: 'm1',
+    milestonename: 'Land Use Application Filed',
+    display_name: 'Land Use Application Filed',
+    display_date: '2019-01-10T00:00:00',
+    statuscode: 'Completed',
+  }, {
+    dcp_projectmilestoneid: 'm2',
+    display_name: 'Community Board Review',
+    display_date: '2019-06-20T00:00:00Z',
+    display_description: 'The community board reviews the application',
+    statuscode: 'In Progress',
+  }, {
+    dcp_projectmilestoneid: 'm3',
+    display_name: 'City Council Review',
+    display_date: null,
+    statuscode: 'Not Started',
+  }],
+};
+
+describe('feeds', () => {
+  it('should build an atom feed of projects, escaping their text', () => {
+    const xml = FEED_FORMATS.atom.build(projectsFeed(projects, 'https://zap-api.example.com/projects.atom?boroughs=Brooklyn'));
+
+    xml.should.have.string('<feed xmlns="http://www.w3.org/2005/Atom">');
+    xml.should.have.string('<updated>2019-06-20T00:00:00.000Z</updated>');
+    xml.should.have.string('<title>Gowanus &lt;Neighborhood&gt; Plan &amp; Rezoning</title>');
+    xml.should.have.string('<link rel="alternate" type="text/html" href="https://zap.planning.nyc.gov/projects/P2019K0001"/>');
+    xml.should.have.string('<category term="In Public Review"/>');
+    xml.match(/<entry>/g).should.have.length(2);
+  });
+
+  it('should build an rss feed of projects', () => {
+    const xml = FEED_FORMATS.rss.build(projectsFeed(projects, 'https://zap-api.example.com/projects.rss'));
+
+    xml.should.have.string('<rss version="2.0"');
+    xml.should.have.string('<pubDate>Thu, 20 Jun 2019 00:00:00 GMT</pubDate>');
+    xml.should.have.string('<lastBuildDate>Thu, 20 Jun 2019 00:00:00 GMT</lastBuildDate>');
+    xml.match(/<item>/g).should.have.length(2);
+  });
+
+  it('should list a project\'s dated milestones, newest first', () => {
+    const feed = projectFeed(project, 'https://zap-api.example.com/projects/P2019K0001.atom');
+
+    feed.entries.map(({ title }) => title).should.deep.equal(['Community Board Review', 'Land Use Application Filed']);
+    feed.entries[0].summary.should.equal('The community board reviews the application');
+    feed.entries[0].id.should.have.string('/milestones/m2');
+    feed.updated.toISOString().should.equal('2019-06-20T00:00:00.000Z');
+  });
+
+  it('should answer conditional requests with a 304', async () => {
+    const app = express();
+    app.get('/feed.atom', (req, res) => sendFeed(res, FEED_FORMATS.atom, projectFeed(project, 'https://zap-api.example.com/feed.atom')));
+
+    const res = await chai.request(app).get('/feed.atom');
+    res.status.should.equal(200);
+    res.type.should.equal('application/atom+xml');
+    res.header.etag.should.match(/^"[0-9a-f]{40}"$/);
+
+    const etagRes = await chai.request(app).get('/feed.atom').set('If-None-Match', res.header.etag);
+    etagRes.status.should.equal(304);
+
+    // the feed's dates don't tell whether its projects changed, so only its ETag is compared
+    should.not.exist(res.header['last-modified']);
+    const dateRes = await chai.request(app).get('/feed.atom').set('If-Modified-Since', 'Fri, 21 Jun 2019 00:00:00 GMT');
+    dateRes.status.should.equal(200);
+  });
+});
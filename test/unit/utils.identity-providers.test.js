@@ -0,0 +1,215 @@
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const chai = require('chai');
+const jwt = require('jsonwebtoken');
+const createIdentityProvider = require('../../utils/identity-providers');
+const UnauthError = require('../../errors/unauth');
+
+chai.should();
+
+// resolves with the UnauthError a promise rejects with
+const rejection = promise => promise.then(
+  () => { throw new Error('Expected the token to be rejected'); },
+  (e) => {
+    e.should.be.an.instanceof(UnauthError);
+    return e;
+  },
+);
+
+// reads a DER length, returning it and the offset of what follows it
+const readLength = (der, offset) => {
+  if (der[offset] < 0x80) return [der[offset], offset + 1];
+
+  const bytes = der[offset] & 0x7f; // eslint-disable-line no-bitwise
+  const length = Array.from(der.slice(offset + 1, offset + 1 + bytes)).reduce((sum, byte) => (sum * 256) + byte, 0);
+
+  return [length, offset + 1 + bytes];
+};
+
+const base64url = buffer => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// the JWK of a PKCS#1 DER public key, a SEQUENCE of its modulus and exponent INTEGERs
+const publicJWK = (der, kid) => {
+  const [, modulusOffset] = readLength(der, 1);
+  const [modulusLength, modulusStart] = readLength(der, modulusOffset + 1);
+  const exponentOffset = modulusStart + modulusLength;
+  const [exponentLength, exponentStart] = readLength(der, exponentOffset + 1);
+  const modulus = der.slice(modulusStart, exponentOffset);
+
+  return {
+    kty: 'RSA',
+    use: 'sig',
+    kid,
+    n: base64url(modulus[0] === 0 ? modulus.slice(1) : modulus),
+    e: base64url(der.slice(exponentStart, exponentStart + exponentLength)),
+  };
+};
+
+// a local OIDC provider stub serving a discovery document and JWKS, counting its JWKS requests
+const startOIDCStub = jwks => new Promise((resolve) => {
+  const stub = { jwksRequests: 0 };
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url === '/.well-known/openid-configuration') {
+      res.end(JSON.stringify({ issuer: stub.issuer, jwks_uri: `${stub.issuer}/jwks` }));
+    } else {
+      stub.jwksRequests += 1;
+      res.end(JSON.stringify({ keys: jwks }));
+    }
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    stub.server = server;
+    stub.issuer = `http://127.0.0.1:${server.address().port}`;
+    resolve(stub);
+  });
+});
+
+describe('identity providers', () => {
+  it('should verify NYCID tokens', async () => {
+    const provider = createIdentityProvider({ type: 'nycid', secret: 'console-password' });
+    const exp = Math.floor(Date.now() / 1000) + 60;
+
+    (await provider.verify(jwt.sign({ mail: 'planner@example.com', exp }, 'console-password')))
+      .should.deep.equal({ email: 'planner@example.com', expiresOn: exp });
+
+    const e = await rejection(provider.verify(jwt.sign({ mail: 'planner@example.com', exp }, 'another-password')));
+    e.message.should.equal('Invalid NYCID token: invalid signature');
+  });
+
+  it('should throw for unknown providers', () => {
+    (() => createIdentityProvider({ type: 'saml' })).should.throw(Error, /Unknown identity provider saml/);
+  });
+
+  describe('OIDC', () => {
+    let stub;
+    let privateKey;
+    let otherKey;
+
+    before(async () => {
+      const keyPair = () => crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'pkcs1', format: 'der' },
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      });
+      const signing = keyPair();
+
+      ({ privateKey } = signing);
+      ({ privateKey: otherKey } = keyPair());
+      stub = await startOIDCStub([publicJWK(signing.publicKey, 'key-1')]);
+    });
+
+    after(() => stub.server.close());
+
+    const idToken = (claims, { key = privateKey, kid = 'key-1' } = {}) => jwt.sign({
+      iss: stub.issuer,
+      aud: 'zap',
+      exp: Math.floor(Date.now() / 1000) + 60,
+      email_verified: true,
+      ...claims,
+    }, key, { algorithm: 'RS256', keyid: kid });
+
+    it('should verify id tokens with the provider\'s JWKS', async () => {
+      const provider = createIdentityProvider({ type: 'oidc', issuer: stub.issuer, audience: 'zap' });
+      const token = idToken({ email: 'planner@example.com' });
+      const { exp } = jwt.decode(token);
+
+      (await provider.verify(token)).should.deep.equal({ email: 'planner@example.com', expiresOn: exp });
+      (await provider.verify(token)).email.should.equal('planner@example.com');
+    });
+
+    it('should read the email from another claim', async () => {
+      const provider = createIdentityProvider({
+        type: 'oidc',
+        issuer: stub.issuer,
+        audience: 'zap',
+        jwksUrl: `${stub.issuer}/jwks`,
+        emailClaim: 'upn',
+      });
+
+      (await provider.verify(idToken({ upn: 'planner@example.com' }))).email.should.equal('planner@example.com');
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com' })))).message
+        .should.equal('Invalid OIDC token: no upn claim');
+    });
+
+    it('should reject tokens without a verified email', async () => {
+      const provider = createIdentityProvider({ type: 'oidc', issuer: stub.issuer, audience: 'zap' });
+
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com', email_verified: false })))).message
+        .should.equal('Invalid OIDC token: email isn\'t verified');
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com', email_verified: 'true' })))).message
+        .should.equal('Invalid OIDC token: email isn\'t verified');
+    });
+
+    it('should need an issuer and audience', () => {
+      (() => createIdentityProvider({ type: 'oidc', issuer: stub.issuer })).should.throw(Error, /needs an issuer and audience/);
+      (() => createIdentityProvider({ type: 'oidc', audience: 'zap' })).should.throw(Error, /needs an issuer and audience/);
+    });
+
+    it('should reject tokens for other audiences or issuers, and expired tokens', async () => {
+      const provider = createIdentityProvider({ type: 'oidc', issuer: stub.issuer, audience: 'zap' });
+
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com', aud: 'other-app' })))).message
+        .should.match(/jwt audience invalid/);
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com', iss: 'https://other.example.com' })))).message
+        .should.match(/jwt issuer invalid/);
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com', exp: 1000 })))).message
+        .should.match(/jwt expired/);
+    });
+
+    it('should reject tokens that aren\'t signed with the provider\'s keys', async () => {
+      const provider = createIdentityProvider({ type: 'oidc', issuer: stub.issuer, audience: 'zap' });
+      const requests = stub.jwksRequests;
+
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com' }, { key: otherKey })))).message
+        .should.equal('Invalid OIDC token: invalid signature');
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com' }, { kid: 'key-2' })))).message
+        .should.equal('Invalid OIDC token: unknown signing key key-2');
+      (await rejection(provider.verify(idToken({ email: 'planner@example.com' }, { kid: 'key-3' })))).message
+        .should.equal('Invalid OIDC token: unknown signing key key-3');
+      (await rejection(provider.verify('not-a-jwt'))).message.should.equal('Invalid OIDC token: jwt malformed');
+
+      // unknown keys don't refetch the JWKS more than once a minute
+      stub.jwksRequests.should.equal(requests + 1);
+    });
+
+    it('should reject HS256 tokens signed with the provider\'s public key', async () => {
+      const provider = createIdentityProvider({ type: 'oidc', issuer: stub.issuer, audience: 'zap' });
+      const token = jwt.sign({ email: 'planner@example.com', iss: stub.issuer, aud: 'zap' }, 'secret', { keyid: 'key-1' });
+
+      (await rejection(provider.verify(token))).message.should.equal('Invalid OIDC token: invalid algorithm');
+    });
+  });
+
+  describe('local', () => {
+    const { NODE_ENV } = process.env;
+    const usersFile = path.join(__dirname, '../fixtures/local-users.json');
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV || '';
+    });
+
+    it('should log in fixture users by their key', async () => {
+      const provider = createIdentityProvider({ type: 'local', enabled: true, usersFile });
+      const login = await provider.verify('planner');
+
+      login.email.should.equal('planner@example.com');
+      login.expiresOn.should.be.above(Math.floor(Date.now() / 1000));
+
+      (await rejection(provider.verify('nobody'))).message.should.equal('Invalid local token: no fixture user nobody');
+    });
+
+    it('should not be used in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      (() => createIdentityProvider({ type: 'local', enabled: true, usersFile })).should.throw(Error, /can't be used in production/);
+    });
+
+    it('should only be used when it\'s enabled, with a file of fixture users', () => {
+      (() => createIdentityProvider({ type: 'local', usersFile })).should.throw(Error, /must be enabled/);
+      (() => createIdentityProvider({ type: 'local', enabled: true })).should.throw(Error, /needs a file of fixture users/);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const chai = require('chai');
+const serialize = require('../../utils/json-api');
+const BadRequestError = require('../../errors/bad-request');
+const NotFoundError = require('../../errors/not-found');
+
+const { serializeError } = serialize;
+
+chai.should();
+
+const project = {
+  dcp_name: 'P2017M0085',
+  dcp_projectname: 'Hudson Yards',
+  dcp_ceqrnumber: null,
+  actions: [
+    { dcp_projectactionid: 'a1', dcp_name: 'Zoning Map Amendment', dcp_ulurpnumber: '190001ZMM' },
+    { dcp_projectactionid: 'a2', dcp_name: 'Zoning Text Amendment', dcp_ulurpnumber: null },
+  ],
+  milestones: [{ dcp_projectmilestoneid: 'm1', milestonename: 'Land Use Application Filed', isRevised: false }],
+  lup_dispositions: [{ dcp_communityboarddispositionid: 'd1', representing: 'CB', dcp_projectaction: 'a1' }],
+};
+
+describe('JSON:API serializer', () => {
+  it('should serialize a record with ids from its own keys', () => {
+    const { data } = serialize('projects', project);
+
+    data.type.should.equal('projects');
+    data.id.should.equal('P2017M0085');
+    data.attributes.should.deep.equal({ dcp_name: 'P2017M0085', dcp_projectname: 'Hudson Yards', dcp_ceqrnumber: null });
+    data.relationships.actions.data.should.deep.equal([{ type: 'actions', id: 'a1' }, { type: 'actions', id: 'a2' }]);
+    data.relationships.dispositions.data.should.deep.equal([{ type: 'dispositions', id: 'd1' }]);
+  });
+
+  it('should leave out relationships a record has no related records for', () => {
+    const { data } = serialize('projects', [{ dcp_name: 'P2017M0085', actiontypes: 'ZM' }]);
+
+    data.should.have.length(1);
+    data[0].should.not.have.property('relationships');
+  });
+
+  it('should include related resources by relationship path', () => {
+    const { included } = serialize('projects', project, { include: 'actions,dispositions' });
+
+    included.map(({ type, id }) => `${type}/${id}`).should.deep.equal(['actions/a1', 'actions/a2', 'dispositions/d1']);
+    included[0].attributes.should.deep.equal({ projectactionid: 'a1', name: 'Zoning Map Amendment', ulurpnumber: '190001ZMM' });
+    included[2].relationships.action.data.should.deep.equal({ type: 'actions', id: 'a1' });
+  });
+
+  it('should include each related resource once', () => {
+    const { included } = serialize('projects', [project, { ...project, dcp_name: 'P2018K0356' }], { include: 'milestones' });
+
+    included.should.have.length(1);
+  });
+
+  it('should relate LUP assignments to their projects by project name', () => {
+    const { data } = serialize('user-dashboards', {
+      contactid: 'c1',
+      assignments: [{ milestone_id: 'm1', project_id: 'guid-1', dcp_name: 'P2017M0085' }],
+    }, { include: 'assignments' });
+
+    data.relationships.assignments.data.should.deep.equal([{ type: 'lup-assignments', id: 'm1' }]);
+    serialize('lup-assignments', { milestone_id: 'm1', project_id: 'guid-1', dcp_name: 'P2017M0085' })
+      .data.relationships.project.data.should.deep.equal({ type: 'projects', id: 'P2017M0085' });
+  });
+
+  it('should reject include paths that can\'t be included', () => {
+    (() => serialize('projects', project, { include: 'applicants' })).should.throw(BadRequestError, /Invalid include applicants/);
+    (() => serialize('projects', project, { include: 'dispositions.action' })).should.throw(BadRequestError, /dispositions can include nothing/);
+  });
+
+  it('should only serialize the fields in sparse fieldsets', () => {
+    const { data, included } = serialize('projects', project, {
+      include: 'actions',
+      fields: { projects: 'dcp_projectname,actions', actions: 'ulurpnumber' },
+    });
+
+    data.attributes.should.deep.equal({ dcp_projectname: 'Hudson Yards' });
+    Object.keys(data.relationships).should.deep.equal(['actions']);
+    included[0].attributes.should.deep.equal({ ulurpnumber: '190001ZMM' });
+  });
+
+  it('should reject fields that aren\'t keyed by type', () => {
+    (() => serialize('projects', project, { fields: 'dcp_projectname' })).should.throw(BadRequestError);
+  });
+
+  it('should serialize errors as JSON:API error objects', () => {
+    serializeError(new NotFoundError('Project P2017M0085 not found')).should.deep.equal({
+      errors: [{ status: '404', code: 'NOT_FOUND', detail: 'Project P2017M0085 not found' }],
+    });
+
+    serializeError(new Error('relation "dcp_project" does not exist'), 'Unable to retrieve project').should.deep.equal({
+      errors: [{ status: '500', detail: 'Unable to retrieve project' }],
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const chai = require('chai');
+const buildLupProjectsSQL = require('../../utils/lup-dashboard');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { buildDashboardSQL, summarizeDashboard } = buildLupProjectsSQL;
+
+chai.should();
+
+describe('LUP dashboard', () => {
+  it('should list a tab of a contact\'s assignments with their deadlines', () => {
+    const SQL = buildLupProjectsSQL('c1', 'to-review');
+
+    SQL.should.have.string("lup.dcp_lupteammember = 'c1'");
+    SQL.should.have.string("WHERE dashboard_tab = 'to-review'");
+    SQL.should.have.string('mm.dcp_plannedcompletiondate AS review_deadline');
+    SQL.should.have.string('BETWEEN 0 AND 7');
+    SQL.should.not.have.string('ORDER BY lup.review_deadline');
+  });
+
+  it('should sort a tab by deadline', () => {
+    buildLupProjectsSQL('c1', 'upcoming', 'deadline')
+      .should.have.string('ORDER BY lup.review_deadline ASC NULLS LAST, lup.project_id');
+    buildLupProjectsSQL('c1', 'upcoming', '-deadline')
+      .should.have.string('ORDER BY lup.review_deadline DESC NULLS LAST, lup.project_id');
+  });
+
+  it('should reject unknown tabs and sorts', () => {
+    (() => buildLupProjectsSQL('c1', 'later')).should.throw(BadRequestError, /Invalid project_lup_status/);
+    (() => buildLupProjectsSQL('c1', 'upcoming', 'dcp_projectname')).should.throw(BadRequestError, /Invalid sort dcp_projectname/);
+  });
+
+  it('should sort GET /projects LUP tabs by deadline, but not other queries', () => {
+    const req = {
+      query: { project_lup_status: 'to-review', sort: '-deadline', page: '1' },
+      session: { contactId: 'c1' },
+    };
+
+    buildProjectsSQL(req).should.have.string('ORDER BY lup.review_deadline DESC');
+    buildProjectsSQL(req, 'projectids').should.not.have.string('review_deadline');
+    (() => buildProjectsSQL({ ...req, session: false })).should.throw(BadRequestError, /Invalid sort deadline/);
+  });
+
+  it('should list every assignment for the dashboard, soonest deadline first', () => {
+    const SQL = buildDashboardSQL('c1');
+
+    SQL.should.have.string("lup.dcp_lupteammember = 'c1'");
+    SQL.should.have.string('ORDER BY lup.review_deadline NULLS LAST');
+    SQL.should.not.have.string('dashboard_tab =');
+  });
+
+  it('should count assignments on each tab, and overdue and due soon reviews', () => {
+    summarizeDashboard([
+      { dashboard_tab: 'to-review', is_overdue: true, is_due_soon: false },
+      { dashboard_tab: 'to-review', is_overdue: false, is_due_soon: true },
+      { dashboard_tab: 'upcoming', is_overdue: false, is_due_soon: false },
+      { dashboard_tab: 'archive', is_overdue: false, is_due_soon: false },
+    ]).should.deep.equal({
+      counts: {
+        'to-review': 2,
+        upcoming: 1,
+        reviewed: 0,
+        archive: 1,
+      },
+      overdue: 1,
+      due_soon: 1,
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const chai = require('chai');
+const buildMilestoneFilters = require('../../utils/milestone-filters');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { parseMilestoneDate } = buildMilestoneFilters;
+
+chai.should();
+
+describe('milestone filters', () => {
+  it('should parse ISO dates and epoch timestamps', () => {
+    parseMilestoneDate('2019-01-01').should.equal(1546300800);
+    parseMilestoneDate('2019-01-01T12:00:00Z').should.equal(1546344000);
+    parseMilestoneDate('1546300800').should.equal(1546300800);
+    parseMilestoneDate('2019-01-01', true).should.equal(1546387199);
+  });
+
+  it('should reject invalid dates', () => {
+    (() => parseMilestoneDate('01/02/2019')).should.throw(BadRequestError, /Invalid milestone date/);
+  });
+
+  it('should filter by when a milestone happened', () => {
+    const SQL = buildMilestoneFilters({
+      'City Planning Commission Vote': { from: '2019-01-01', to: '2019-03-31' },
+    });
+
+    SQL.should.have.string("mm.dcp_milestone = 'a43beec4-dad0-e711-8116-1458d04e2fb8'");
+    SQL.should.have.string('AND mm.dcp_actualenddate >= to_timestamp(1546300800)');
+    SQL.should.have.string('AND mm.dcp_actualenddate <= to_timestamp(1554076799)');
+  });
+
+  it('should match review periods in progress during a date range', () => {
+    const SQL = buildMilestoneFilters({
+      'City Council Review': { from: '2019-06-01', to: '2019-06-30' },
+    });
+
+    SQL.should.have.string('AND COALESCE(mm.dcp_actualenddate, mm.dcp_plannedcompletiondate, mm.dcp_actualstartdate) >= to_timestamp(1559347200)');
+    SQL.should.have.string('AND mm.dcp_actualstartdate <= to_timestamp(1561939199)');
+  });
+
+  it('should filter by milestone status', () => {
+    buildMilestoneFilters({ 'Community Board Review': { status: ['In Progress', 'Completed'] } })
+      .should.have.string("AND mm.statuscode IN ('In Progress','Completed')");
+  });
+
+  it('should reject unknown milestones, params and statuses', () => {
+    (() => buildMilestoneFilters({ 'CPC Vote': { from: '2019-01-01' } })).should.throw(BadRequestError, /Invalid milestone CPC Vote/);
+    (() => buildMilestoneFilters({ 'Mayoral Review': { after: '2019-01-01' } })).should.throw(BadRequestError, /Invalid milestones filter after/);
+    (() => buildMilestoneFilters({ 'Mayoral Review': { status: 'Overridden' } })).should.throw(BadRequestError, /Invalid milestone status/);
+    (() => buildMilestoneFilters('Mayoral Review')).should.throw(BadRequestError, /keyed by milestone name/);
+  });
+
+  it('should combine with the other project filters', () => {
+    const SQL = buildProjectsSQL({
+      query: {
+        milestones: { 'Land Use Application Filed': { from: '2019-01-01' } },
+        boroughs: ['Queens'],
+      },
+      session: false,
+    }, 'projectids');
+
+    SQL.should.have.string("mm.dcp_milestone = '663beec4-dad0-e711-8116-1458d04e2fb8'");
+    SQL.should.have.string("dcp_borough ilike any (array['%Queens%'])");
+  });
+});
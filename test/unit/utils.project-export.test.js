@@ -0,0 +1,52 @@
+const chai = require('chai');
+const PROJECT_EXPORTS = require('../../utils/project-export');
+
+chai.should();
+
+const project = {
+  dcp_name: 'P2017M0085',
+  dcp_projectname: 'Hudson Yards',
+  bbls: ['1007020001', '1007020002'],
+  bbl_multipolygon: '{"type":"MultiPolygon","coordinates":[]}',
+  bbl_featurecollection: { type: 'FeatureCollection', features: [] },
+  actions: [{ dcp_name: 'Zoning Map Amendment', dcp_ulurpnumber: '190001ZMM' }],
+  milestones: [{
+    dcp_milestone: '663beec4-dad0-e711-8116-1458d04e2fb8',
+    milestonelinks: [{ url: 'https://example.com/a.pdf' }, { url: 'https://example.com/b.pdf' }],
+  }],
+  lup_dispositions: null,
+  applicantteam: [],
+  addresses: [],
+  video_links: [],
+};
+
+describe('project exports', () => {
+  it('should export json with parsed geometry and without geometry strings', () => {
+    const exported = JSON.parse(PROJECT_EXPORTS.json.build(project));
+
+    exported.dcp_name.should.equal('P2017M0085');
+    exported.actions.should.deep.equal(project.actions);
+    exported.geometry.should.deep.equal({ type: 'MultiPolygon', coordinates: [] });
+    exported.should.not.have.property('bbl_multipolygon');
+    exported.should.not.have.property('bbl_featurecollection');
+  });
+
+  it('should export geojson as a FeatureCollection with one feature', () => {
+    const { type, features } = JSON.parse(PROJECT_EXPORTS.geojson.build(project));
+
+    type.should.equal('FeatureCollection');
+    features.should.have.length(1);
+    features[0].id.should.equal('P2017M0085');
+    features[0].geometry.type.should.equal('MultiPolygon');
+    features[0].properties.dcp_projectname.should.equal('Hudson Yards');
+  });
+
+  it('should export a csv for the project and each non-empty related entity', () => {
+    const files = PROJECT_EXPORTS.csv.files(project);
+
+    files.map(({ name }) => name).should.deep.equal(['project.csv', 'actions.csv', 'milestones.csv', 'bbls.csv']);
+    files[0].body.should.equal('"dcp_name","dcp_projectname","bbls"\n"P2017M0085","Hudson Yards","1007020001;1007020002"');
+    files[2].body.should.contain('"https://example.com/a.pdf;https://example.com/b.pdf"');
+    files[3].body.should.equal('"bbl"\n"1007020001"\n"1007020002"');
+  });
+});
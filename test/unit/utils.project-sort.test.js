@@ -0,0 +1,88 @@
+const chai = require('chai');
+const buildSortQuery = require('../../utils/project-sort');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { encodeCursor, decodeCursor } = buildSortQuery;
+
+chai.should();
+
+describe('project sorting', () => {
+  it('should sort by last milestone date, then public status and project id by default', () => {
+    const { sort, orderBy, cursorQuery } = buildSortQuery({});
+
+    sort.should.equal('-lastmilestonedate');
+    orderBy.should.match(/^\(lastmilestonedate IS NOT NULL\) DESC, COALESCE\(lastmilestonedate, '-infinity'\) DESC, -\([\s\S]*In Public Review[\s\S]*\) DESC, p.dcp_name DESC$/);
+    cursorQuery.should.equal('');
+  });
+
+  it('should sort ascending without a - prefix', () => {
+    const { sort, orderBy } = buildSortQuery({ sort: 'dcp_projectname' });
+
+    sort.should.equal('dcp_projectname');
+    orderBy.should.equal("(lower(p.dcp_projectname) IS NULL) ASC, COALESCE(lower(p.dcp_projectname), '') ASC, p.dcp_name ASC");
+  });
+
+  it('should reject sorts that are not allow-listed', () => {
+    (() => buildSortQuery({ sort: '-dcp_projectbrief' }))
+      .should.throw(BadRequestError, /Invalid sort dcp_projectbrief/);
+  });
+
+  it('should require a point to sort by distance', () => {
+    (() => buildSortQuery({ sort: 'distance' }))
+      .should.throw(BadRequestError, /requires distance_from_point/);
+
+    buildSortQuery({ sort: 'distance', distance_from_point: ['-73.98', '40.75'] }).orderBy
+      .should.have.string("ST_MakePoint('-73.98','40.75')");
+  });
+
+  it('should round trip cursors', () => {
+    const cursor = {
+      d: 'next',
+      s: 'dcp_projectname',
+      v: ['false', 'hudson yards', 'P2017M0085'],
+      t: 120,
+    };
+
+    decodeCursor(encodeCursor(cursor)).should.deep.equal(cursor);
+  });
+
+  it('should reject malformed cursors', () => {
+    (() => decodeCursor('not-a-cursor'))
+      .should.throw(BadRequestError, /Invalid cursor/);
+  });
+
+  it('should page after the cursor row', () => {
+    const cursor = encodeCursor({ d: 'next', s: 'dcp_projectname', v: ['false', 'hudson yards', 'P2017M0085'] });
+    const { cursorQuery, orderBy } = buildSortQuery({ sort: 'dcp_projectname', cursor });
+
+    cursorQuery.should.have.string(") > ('false','hudson yards','P2017M0085')");
+    orderBy.should.have.string('ASC');
+  });
+
+  it('should read backwards before the cursor row', () => {
+    const cursor = encodeCursor({ d: 'prev', s: 'dcp_projectname', v: ['false', 'hudson yards', 'P2017M0085'] });
+    const { cursorQuery, orderBy } = buildSortQuery({ sort: 'dcp_projectname', cursor });
+
+    cursorQuery.should.have.string(") < ('false','hudson yards','P2017M0085')");
+    orderBy.should.have.string('DESC');
+  });
+
+  it('should reject cursors from a different sort', () => {
+    const cursor = encodeCursor({ d: 'next', s: 'dcp_projectname', v: ['false', 'hudson yards', 'P2017M0085'] });
+
+    (() => buildSortQuery({ sort: '-dcp_certifiedreferred', cursor }))
+      .should.throw(BadRequestError, /does not match/);
+  });
+
+  it('should fetch one extra row for cursor pages', () => {
+    const cursor = encodeCursor({ d: 'next', s: 'dcp_projectname', v: ['false', 'hudson yards', 'P2017M0085'] });
+    const SQL = buildProjectsSQL({
+      query: { sort: 'dcp_projectname', cursor, itemsPerPage: '30' },
+      session: false,
+    });
+
+    SQL.should.have.string('LIMIT 31 OFFSET 0');
+    SQL.should.have.string('AS cursor_values');
+  });
+});
@@ -0,0 +1,108 @@
+const chai = require('chai');
+const sendSavedSearchAlerts = require('../../utils/saved-searches');
+const BadRequestError = require('../../errors/bad-request');
+
+const { validateSavedSearch } = sendSavedSearchAlerts;
+
+chai.should();
+
+// a fake pg-promise database with saved searches and the new or changed projects each one matches
+const fakeDb = (searches, diffs) => {
+  const updated = [];
+  const t = {
+    any: async (query, { id }) => diffs[id] || [],
+    none: async (query, { id, currentResults }) => {
+      updated.push({ id, currentResults });
+    },
+  };
+
+  return {
+    updated,
+    any: async () => searches,
+    tx: callback => callback(t),
+  };
+};
+
+const project = {
+  project_id: '2019K0001',
+  dcp_projectname: 'Gowanus Neighborhood Plan',
+  dcp_publicstatus_simp: 'In Public Review',
+  fingerprint: 'f1',
+  change_type: 'new',
+};
+
+const savedSearch = (id, name, attributes = {}) => ({
+  id,
+  name,
+  query: {},
+  last_run_at: new Date(),
+  ...attributes,
+});
+
+describe('saved searches', () => {
+  it('should keep only the filter params of a query', () => {
+    const { name, query, alertsEnabled } = validateSavedSearch({
+      name: ' Brooklyn rezonings ',
+      query: {
+        'community-districts': ['K01'],
+        page: '2',
+        sort: 'dcp_name',
+        itemsPerPage: '100',
+      },
+    });
+
+    name.should.equal('Brooklyn rezonings');
+    query.should.deep.equal({ 'community-districts': ['K01'] });
+    alertsEnabled.should.equal(true);
+  });
+
+  it('should keep current attributes that aren\'t given', () => {
+    const current = { name: 'Old', query: { boroughs: ['Brooklyn'] }, alerts_enabled: false };
+
+    validateSavedSearch({ name: 'New' }, current).should.deep.equal({
+      name: 'New',
+      query: { boroughs: ['Brooklyn'] },
+      alertsEnabled: false,
+    });
+  });
+
+  it('should reject searches without a name or with invalid filters', () => {
+    (() => validateSavedSearch({ query: {} })).should.throw(BadRequestError, /Invalid name/);
+    (() => validateSavedSearch({ name: 'x', query: 'dcp_borough=Brooklyn' })).should.throw(BadRequestError, /Invalid query/);
+    (() => validateSavedSearch({ name: 'x', query: {}, alerts_enabled: 'yes' })).should.throw(BadRequestError, /alerts_enabled/);
+  });
+
+  it('should send digests of new and changed projects, and keep every search\'s results', async () => {
+    const sent = [];
+    const transport = { send: async (digest) => { sent.push(digest); } };
+    const db = fakeDb([
+      savedSearch('a', 'Brooklyn', { email: 'a@example.com', query: { boroughs: ['Brooklyn'] } }),
+      savedSearch('b', 'Nothing new'),
+      savedSearch('c', 'First run', { last_run_at: null }),
+    ], { a: [project], c: [project] });
+
+    const counts = await sendSavedSearchAlerts(db, transport);
+
+    counts.should.deep.equal({ searched: 3, sent: 1, failed: 0 });
+    sent.should.have.length(1);
+    sent[0].search.should.deep.equal({ id: 'a', name: 'Brooklyn', query: { boroughs: ['Brooklyn'] } });
+    sent[0].email.should.equal('a@example.com');
+    sent[0].projects[0].should.not.have.property('fingerprint');
+    sent[0].projects[0].url.should.have.string('/projects/2019K0001');
+    db.updated.map(({ id }) => id).should.deep.equal(['a', 'b', 'c']);
+    db.updated[0].currentResults.should.have.string("dcp_borough ilike any (array['%Brooklyn%'])");
+  });
+
+  it('should keep a search\'s last results when its alert can\'t be sent', async () => {
+    const transport = { send: async () => { throw new Error('SMTP down'); } };
+    const db = fakeDb([savedSearch('a', 'Brooklyn')], { a: [project] });
+    const { log } = console;
+
+    console.log = () => {}; // eslint-disable-line no-console
+    const counts = await sendSavedSearchAlerts(db, transport);
+    console.log = log; // eslint-disable-line no-console
+
+    counts.should.deep.equal({ searched: 1, sent: 0, failed: 1 });
+    db.updated.should.have.length(0);
+  });
+});
@@ -0,0 +1,39 @@
+const chai = require('chai');
+const findServiceToken = require('../../utils/service-tokens');
+
+const { createServiceToken, hashToken } = findServiceToken;
+
+chai.should();
+
+describe('service tokens', () => {
+  it('should only store a hash of new tokens', async () => {
+    let inserted;
+    const db = {
+      one: async (query, values) => {
+        inserted = values;
+        return { id: values.id, name: values.name, scopes: values.scopes };
+      },
+    };
+
+    const serviceToken = await createServiceToken(db, { name: 'api_worker', scopes: ['geometries'] });
+
+    serviceToken.token.should.match(/^zap_[0-9a-f]{64}$/);
+    serviceToken.should.deep.include({ name: 'api_worker', scopes: ['geometries'] });
+    inserted.tokenHash.should.equal(hashToken(serviceToken.token));
+    inserted.tokenHash.should.not.equal(serviceToken.token);
+    inserted.should.not.have.property('token');
+    inserted.expiresInDays.should.equal(365);
+
+    await createServiceToken(db, { name: 'script', scopes: ['admin'], expiresInDays: '7' });
+    inserted.expiresInDays.should.equal(7);
+  });
+
+  it('should find tokens by their hash', async () => {
+    const db = {
+      oneOrNone: async (query, { tokenHash }) => (tokenHash === hashToken('zap_abc') ? { id: 't1', scopes: ['admin'] } : null),
+    };
+
+    (await findServiceToken(db, 'zap_abc')).should.deep.equal({ id: 't1', scopes: ['admin'] });
+    chai.expect(await findServiceToken(db, 'zap_def')).to.equal(null);
+  });
+});
@@ -0,0 +1,51 @@
+const chai = require('chai');
+const createSessionRevocations = require('../../utils/session-revocations');
+
+chai.should();
+
+// a database with a revoked_sessions table, counting its lookups
+const mockDB = () => {
+  const revoked = new Set();
+  const db = {
+    lookups: 0,
+    none: async (query, values) => {
+      if (values) revoked.add(values.sessionId);
+    },
+    one: async (query, { sessionId }) => {
+      db.lookups += 1;
+      return { revoked: revoked.has(sessionId) };
+    },
+    revoked,
+  };
+
+  return db;
+};
+
+describe('session revocations', () => {
+  it('should revoke sessions', async () => {
+    const db = mockDB();
+    const revocations = createSessionRevocations(db);
+
+    (await revocations.isRevoked('s1')).should.equal(false);
+
+    await revocations.revoke('s1', Math.floor(Date.now() / 1000) + 3600);
+
+    db.revoked.has('s1').should.equal(true);
+    (await revocations.isRevoked('s1')).should.equal(true);
+    (await revocations.isRevoked('s2')).should.equal(false);
+  });
+
+  it('should cache sessions\' revocation status', async () => {
+    const db = mockDB();
+    const revocations = createSessionRevocations(db, { cacheTtl: 60 });
+
+    await revocations.isRevoked('s1');
+    await revocations.isRevoked('s1');
+
+    db.lookups.should.equal(1);
+
+    // revoked on another dyno, which this one finds out about when its cache expires
+    db.revoked.add('s1');
+    (await revocations.isRevoked('s1')).should.equal(false);
+  });
+});
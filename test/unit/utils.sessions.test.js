@@ -0,0 +1,158 @@
+const chai = require('chai');
+const jwt = require('jsonwebtoken');
+const findIdentities = require('../../utils/sessions');
+const ForbiddenError = require('../../errors/forbidden');
+
+const {
+  startSession,
+  actAs,
+  signSession,
+  sessionCookieOptions,
+} = findIdentities;
+
+chai.should();
+
+const identity = (contactId, roles, delegated = false) => ({
+  contactId,
+  name: `Contact ${contactId}`,
+  roles,
+  delegated,
+});
+
+const identities = [
+  identity('staff', []),
+  identity('chair', ['CB']),
+  identity('board', ['BB', 'CB'], true),
+];
+
+describe('sessions', () => {
+  it('should find a login\'s identities', async () => {
+    const db = {
+      any: async (query, values) => {
+        values.should.deep.equal({ email: 'staff@cb.nyc.gov', contactIds: null });
+
+        return [{
+          contact_id: 'board',
+          name: 'Board',
+          roles: ['CB'],
+          delegated: true,
+        }];
+      },
+    };
+
+    (await findIdentities(db, { email: 'staff@cb.nyc.gov' })).should.deep.equal([{
+      contactId: 'board',
+      name: 'Board',
+      roles: ['CB'],
+      delegated: true,
+    }]);
+  });
+
+  it('should only find the contacts a login is given', async () => {
+    const db = {
+      any: async (query, values) => {
+        values.should.deep.equal({ email: 'dev@example.com', contactIds: ['c1'] });
+        return [];
+      },
+    };
+
+    (await findIdentities(db, { email: 'dev@example.com', contactIds: ['c1'] })).should.deep.equal([]);
+  });
+
+  it('should start a session acting as the login\'s own contact with a LUP role', () => {
+    const session = startSession({ expiresOn: 100, identities });
+
+    session.sid.should.match(/^[0-9a-f]{40}$/);
+    session.should.deep.include({
+      maxExp: 100,
+      contactId: 'chair',
+      roles: ['CB'],
+      identities,
+    });
+
+    startSession({ expiresOn: 100, identities }).sid.should.not.equal(session.sid);
+    startSession({ expiresOn: 100, identities: [identities[0], identities[2]] }).contactId.should.equal('board');
+    startSession({ expiresOn: 100, identities: [identities[0]] }).contactId.should.equal('staff');
+  });
+
+  it('should switch to another of the login\'s identities', () => {
+    const login = startSession({ expiresOn: 100, identities });
+    const session = actAs(login, 'board');
+
+    session.sid.should.equal(login.sid);
+    session.contactId.should.equal('board');
+    session.roles.should.deep.equal(['BB', 'CB']);
+    session.identities.should.equal(identities);
+  });
+
+  it('should not switch to contacts that aren\'t the login\'s identities', () => {
+    const session = startSession({ expiresOn: 100, identities });
+
+    (() => actAs(session, 'someone-else')).should.throw(ForbiddenError, /isn't one of this login's identities/);
+  });
+
+  describe('signing', () => {
+    const { SESSION_TTL } = process.env;
+
+    before(() => {
+      process.env.CRM_SIGNING_SECRET = process.env.CRM_SIGNING_SECRET || 'test-secret';
+      process.env.SESSION_TTL = 60;
+    });
+
+    after(() => {
+      process.env.SESSION_TTL = SESSION_TTL || '';
+    });
+
+    it('should sign short-lived tokens for the token cookie', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const session = startSession({ expiresOn: now + 3600, identities });
+      const { token, exp } = signSession(session);
+      const payload = jwt.verify(token, process.env.CRM_SIGNING_SECRET);
+
+      exp.should.be.within(now + 60, now + 61);
+      payload.exp.should.equal(exp);
+      payload.sid.should.equal(session.sid);
+      payload.maxExp.should.equal(now + 3600);
+      payload.contactId.should.equal('chair');
+      payload.roles.should.deep.equal(['CB']);
+      payload.identities.should.deep.equal(identities);
+    });
+
+    it('should not refresh tokens past the login\'s expiry', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const { token } = signSession(startSession({ expiresOn: now + 10, identities }));
+      const refreshed = signSession(jwt.verify(token, process.env.CRM_SIGNING_SECRET));
+
+      refreshed.exp.should.equal(now + 10);
+    });
+  });
+
+  describe('cookies', () => {
+    const { NODE_ENV, SESSION_COOKIE_SAMESITE } = process.env;
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV || '';
+      process.env.SESSION_COOKIE_SAMESITE = SESSION_COOKIE_SAMESITE || '';
+    });
+
+    it('should only send cookies over https in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      sessionCookieOptions(100).should.deep.equal({
+        httpOnly: true,
+        secure: true,
+        sameSite: 'lax',
+        expires: new Date(100000),
+      });
+    });
+
+    it('should send lax cookies in development', () => {
+      process.env.NODE_ENV = 'development';
+
+      sessionCookieOptions().should.deep.equal({ httpOnly: true, secure: false, sameSite: 'lax' });
+
+      process.env.SESSION_COOKIE_SAMESITE = 'strict';
+      sessionCookieOptions().sameSite.should.equal('strict');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const chai = require('chai');
+const buildSpatialFilters = require('../../utils/spatial-filters');
+const buildProjectsSQL = require('../../utils/build-projects-sql');
+const BadRequestError = require('../../errors/bad-request');
+
+const { parseBbox, parseWithin } = buildSpatialFilters;
+
+chai.should();
+
+const square = [[[-74, 40.7], [-73.9, 40.7], [-73.9, 40.8], [-74, 40.8], [-74, 40.7]]];
+
+describe('spatial filters', () => {
+  it('should parse a bbox from a string or array', () => {
+    parseBbox('-74.01,40.7,-73.9,40.8').should.deep.equal([-74.01, 40.7, -73.9, 40.8]);
+    parseBbox(['-74.01', '40.7', '-73.9', '40.8']).should.deep.equal([-74.01, 40.7, -73.9, 40.8]);
+  });
+
+  it('should reject invalid bboxes', () => {
+    (() => parseBbox('-74.01,40.7,-73.9')).should.throw(BadRequestError, /Invalid bbox/);
+    (() => parseBbox('-74.01,40.7,-73.9,north')).should.throw(BadRequestError, /Invalid bbox/);
+    (() => parseBbox('-73.9,40.7,-74.01,40.8')).should.throw(BadRequestError, /less than max/);
+    (() => parseBbox('-274,40.7,-73.9,40.8')).should.throw(BadRequestError, /Invalid bbox/);
+  });
+
+  it('should parse polygons from JSON strings, geometries and features', () => {
+    const polygon = { type: 'Polygon', coordinates: square };
+
+    parseWithin(JSON.stringify(polygon)).should.deep.equal(polygon);
+    parseWithin({ type: 'Feature', properties: {}, geometry: polygon }).should.deep.equal(polygon);
+    parseWithin({ type: 'MultiPolygon', coordinates: [square] }).type.should.equal('MultiPolygon');
+  });
+
+  it('should reject invalid geometry', () => {
+    (() => parseWithin('{"type":')).should.throw(BadRequestError, /must be GeoJSON/);
+    (() => parseWithin({ type: 'Point', coordinates: [-74, 40.7] })).should.throw(BadRequestError, /Polygon or MultiPolygon/);
+    (() => parseWithin({ type: 'Polygon', coordinates: [square[0].slice(0, 4)] })).should.throw(BadRequestError, /must be closed/);
+    (() => parseWithin({ type: 'Polygon', coordinates: [[[-74, 40.7], [-73.9, 40.7], [-74, 40.7]]] })).should.throw(BadRequestError, /at least four/);
+  });
+
+  it('should filter projects intersecting the bbox and polygon', () => {
+    const SQL = buildProjectsSQL({
+      query: {
+        bbox: '-74.01,40.7,-73.9,40.8',
+        within: JSON.stringify({ type: 'Polygon', coordinates: square }),
+      },
+      session: false,
+    }, 'projectids');
+
+    SQL.should.have.string('ST_Intersects(c.polygons, ST_MakeEnvelope(-74.01,40.7,-73.9,40.8, 4326))');
+    SQL.should.have.string('ST_Intersects(c.polygons, ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(\'{"type":"Polygon"');
+  });
+});
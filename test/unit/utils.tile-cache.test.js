@@ -0,0 +1,71 @@
+const chai = require('chai');
+const createTileCache = require('../../utils/tile-cache');
+
+const should = chai.should();
+
+describe('tile cache', () => {
+  beforeEach(() => {
+    this.version = 1;
+    this.versionLookups = 0;
+    this.db = {
+      one: async () => {
+        this.versionLookups += 1;
+        return { version: this.version };
+      },
+    };
+  });
+
+  it('should cache tiles by key', async () => {
+    const tileCache = createTileCache(this.db);
+    const version = await tileCache.getVersion();
+    const { key } = tileCache.key(version, 'abc', 'centroid_3857', 12, 1205, 1539);
+
+    should.not.exist(tileCache.get(key));
+    tileCache.set(key, Buffer.from('tile'));
+
+    tileCache.get(key).toString().should.equal('tile');
+  });
+
+  it('should stop caching tiles once it holds maxKeys tiles', async () => {
+    const tileCache = createTileCache(this.db, { maxKeys: '1' });
+    const version = await tileCache.getVersion();
+    const { key: first } = tileCache.key(version, 'abc', 'centroid_3857', 12, 1205, 1539);
+    const { key: second } = tileCache.key(version, 'abc', 'centroid_3857', 12, 1205, 1540);
+
+    tileCache.set(first, Buffer.from('first'));
+    tileCache.set(second, Buffer.from('second'));
+
+    tileCache.get(first).toString().should.equal('first');
+    should.not.exist(tileCache.get(second));
+  });
+
+  it('should build etags that change with the data version', () => {
+    const tileCache = createTileCache(this.db);
+    const first = tileCache.key(1, 'abc', 'centroid_3857', 12, 1205, 1539);
+    const second = tileCache.key(2, 'abc', 'centroid_3857', 12, 1205, 1539);
+
+    first.etag.should.equal(tileCache.key(1, 'abc', 'centroid_3857', 12, 1205, 1539).etag);
+    first.etag.should.not.equal(second.etag);
+    first.etag.should.match(/^"[0-9a-f]{40}"$/);
+  });
+
+  it('should only look up the data version once per check interval', async () => {
+    const tileCache = createTileCache(this.db, { versionCheckInterval: 60 });
+
+    await tileCache.getVersion();
+    await tileCache.getVersion();
+
+    this.versionLookups.should.equal(1);
+  });
+
+  it('should flush cached tiles when the data version changes', async () => {
+    const tileCache = createTileCache(this.db, { versionCheckInterval: 0 });
+    const { key } = tileCache.key(await tileCache.getVersion(), 'abc', 'centroid_3857', 12, 1205, 1539);
+
+    tileCache.set(key, Buffer.from('tile'));
+    this.version = 2;
+
+    (await tileCache.getVersion()).should.equal(2);
+    should.not.exist(tileCache.get(key));
+  });
+});
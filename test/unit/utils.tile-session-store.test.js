@@ -0,0 +1,52 @@
+const chai = require('chai');
+const createTileSessionStore = require('../../utils/tile-session-store');
+
+const { tileSessionId } = createTileSessionStore;
+const should = chai.should();
+
+describe('tile session store', () => {
+  it('should generate the same id for identical tile queries', () => {
+    const tileQuery = "SELECT * FROM normalized_projects WHERE dcp_name IN ('P2017M0085')";
+
+    tileSessionId(tileQuery).should.equal(tileSessionId(tileQuery));
+    tileSessionId(tileQuery).should.not.equal(tileSessionId(`${tileQuery} `));
+  });
+
+  it('should store and retrieve tile queries in memory by default', async () => {
+    const store = createTileSessionStore();
+
+    await store.set('abc', 'SELECT 1');
+
+    (await store.get('abc')).should.equal('SELECT 1');
+    should.not.exist(await store.get('unknown'));
+  });
+
+  it('should store tile queries in postgres and purge expired sessions', async () => {
+    const queries = [];
+    const db = {
+      async none(query, values) {
+        queries.push({ query: query.toString(), values });
+        return null;
+      },
+      async oneOrNone(query, values) {
+        queries.push({ query: query.toString(), values });
+        return values.id === 'abc' ? { tile_query: 'SELECT 1' } : null;
+      },
+    };
+    const store = createTileSessionStore(db, { type: 'postgres', ttl: '60' });
+
+    await store.set('abc', 'SELECT 1');
+
+    queries[0].query.should.have.string('DELETE FROM tile_sessions');
+    queries[1].query.should.have.string('INSERT INTO tile_sessions');
+    queries[1].values.should.deep.equal({ id: 'abc', tileQuery: 'SELECT 1', ttl: 60 });
+
+    (await store.get('abc')).should.equal('SELECT 1');
+    should.not.exist(await store.get('unknown'));
+  });
+
+  it('should reject unknown store types', () => {
+    (() => createTileSessionStore(null, { type: 'redis' }))
+      .should.throw(Error, /Unknown tile session store redis/);
+  });
+});
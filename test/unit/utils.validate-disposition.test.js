@@ -0,0 +1,67 @@
+const chai = require('chai');
+const validateDisposition = require('../../utils/validate-disposition');
+const BadRequestError = require('../../errors/bad-request');
+
+const should = chai.should();
+
+describe('validate disposition utility', () => {
+  it('should map attributes to disposition columns', () => {
+    const values = validateDisposition({
+      dateofpublichearing: '2019-06-12T18:00:00.000Z',
+      publichearinglocation: '1 Centre Street',
+      votinginfavorrecommendation: 12,
+      wasaquorumpresent: true,
+      communityboardrecommendation: 'Approved',
+    }, ['CB']);
+
+    values.dcp_dateofpublichearing.should.equal('2019-06-12T18:00:00.000Z');
+    values.dcp_publichearinglocation.should.equal('1 Centre Street');
+    values.dcp_votinginfavorrecommendation.should.equal(12);
+    values.dcp_wasaquorumpresent.should.equal(true);
+    values.dcp_communityboardrecommendation.should.equal('Approved');
+  });
+
+  it('should allow null to clear a value', () => {
+    const values = validateDisposition({ dateofvote: null }, ['BB']);
+
+    should.equal(values.dcp_dateofvote, null);
+  });
+
+  it('should reject recommendations for a different LUP role', () => {
+    (() => validateDisposition({ boroughpresidentrecommendation: 'Approved' }, ['CB']))
+      .should.throw(BadRequestError, /can not be submitted by LUP role/);
+  });
+
+  it('should reject vote counts from the Borough President', () => {
+    (() => validateDisposition({ votingagainstrecommendation: 3 }, ['BP']))
+      .should.throw(BadRequestError, /can not be submitted by LUP role/);
+  });
+
+  it('should accept fields from any role the contact holds', () => {
+    const values = validateDisposition({
+      communityboardrecommendation: 'Approved',
+      boroughboardrecommendation: 'Disapproved',
+    }, ['CB', 'BB']);
+
+    Object.keys(values).length.should.equal(2);
+  });
+
+  it('should reject unknown attributes', () => {
+    (() => validateDisposition({ statuscode: 'Completed' }, ['CB']))
+      .should.throw(BadRequestError, /Unknown disposition attribute/);
+  });
+
+  it('should reject values of the wrong type', () => {
+    (() => validateDisposition({ dateofvote: 'next tuesday' }, ['CB']))
+      .should.throw(BadRequestError, /expected date/);
+    (() => validateDisposition({ votinginfavorrecommendation: -1 }, ['CB']))
+      .should.throw(BadRequestError, /expected count/);
+    (() => validateDisposition({ wasaquorumpresent: 'yes' }, ['CB']))
+      .should.throw(BadRequestError, /expected boolean/);
+  });
+
+  it('should reject an empty update', () => {
+    (() => validateDisposition({}, ['CB']))
+      .should.throw(BadRequestError, /No disposition attributes/);
+  });
+});
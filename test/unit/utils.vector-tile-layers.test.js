@@ -0,0 +1,48 @@
+const chai = require('chai');
+const getTileLayers = require('../../utils/vector-tile-layers');
+const BadRequestError = require('../../errors/bad-request');
+
+chai.should();
+
+describe('vector tile layers', () => {
+  it('should default to the centroid layer with the original attributes', () => {
+    const { layers, fields } = getTileLayers({});
+
+    layers.map(layer => layer.layerName).should.deep.equal(['project-centroids']);
+    layers[0].geomColumn.should.equal('centroid_3857');
+    fields.should.deep.equal(['projectid', 'dcp_projectname', 'dcp_publicstatus_simp', 'lastmilestonedate']);
+  });
+
+  it('should name the polygon layer for what it holds', () => {
+    const { layers } = getTileLayers({ type: 'polygons' });
+
+    layers.map(layer => layer.layerName).should.deep.equal(['project-polygons']);
+    layers[0].geomColumn.should.equal('polygons_3857');
+  });
+
+  it('should return both layers for type=all', () => {
+    const { layers } = getTileLayers({ type: 'all' });
+
+    layers.map(layer => layer.layerName).should.deep.equal(['project-centroids', 'project-polygons']);
+  });
+
+  it('should include requested fields from a comma-separated string or array', () => {
+    getTileLayers({ fields: 'dcp_borough,dcp_ulurp_nonulurp' }).fields
+      .should.deep.equal(['projectid', 'dcp_projectname', 'dcp_publicstatus_simp', 'dcp_ulurp_nonulurp', 'dcp_borough']);
+
+    getTileLayers({ fields: ['dcp_ceqrtype'] }).fields
+      .should.deep.equal(['projectid', 'dcp_projectname', 'dcp_publicstatus_simp', 'dcp_ceqrtype']);
+  });
+
+  it('should reject fields that are not allow-listed', () => {
+    (() => getTileLayers({ fields: 'dcp_borough,geom' }))
+      .should.throw(BadRequestError, /Invalid tile fields geom/);
+  });
+
+  it('should reject fields that are not a string or array of strings', () => {
+    (() => getTileLayers({ fields: { dcp_borough: 'x' } }))
+      .should.throw(BadRequestError, /must be a comma-separated string or array/);
+    (() => getTileLayers({ fields: [{ dcp_borough: 'x' }] }))
+      .should.throw(BadRequestError, /must be a comma-separated string or array/);
+  });
+});
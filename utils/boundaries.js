@@ -0,0 +1,40 @@
+const pgp = require('pg-promise');
+
+/**
+ * Lookup map of administrative boundary types, keyed by the query param that filters by them.
+ * Each type's boundaries are imported from a planninglabs Carto table by scripts/import-boundaries.js,
+ * with cartoSQL selecting an id, a display name and the geometry for each polygon.
+ */
+const BOUNDARY_TYPES = {
+  'council-districts': {
+    name: 'City Council Districts',
+    cartoSQL: 'SELECT coundist::text AS id, \'Council District \' || coundist AS name, the_geom FROM dcp_city_council_districts',
+  },
+  ntas: {
+    name: 'Neighborhood Tabulation Areas',
+    cartoSQL: 'SELECT ntacode AS id, ntaname AS name, the_geom FROM dcp_ntaboundaries',
+  },
+  'zoning-districts': {
+    name: 'Zoning Districts',
+    cartoSQL: 'SELECT zonedist AS id, zonedist AS name, the_geom FROM dcp_zoning_districts',
+  },
+};
+
+/**
+ * Builds a WHERE clause fragment for each boundary filter in the query params.
+ * Projects match if their polygons intersect any of the selected boundaries.
+ * @param {Object} query - request query params
+ * @returns {Object} fragments keyed by boundary type, empty strings when not set
+ */
+const buildBoundaryFilters = query => Object.keys(BOUNDARY_TYPES)
+  .reduce((filters, type) => {
+    const ids = [].concat(query[type] || []).filter(Boolean);
+
+    return {
+      ...filters,
+      [type]: ids[0] ? pgp.as.format('AND EXISTS (SELECT 1 FROM boundaries b WHERE b.type = $1 AND b.id IN ($2:csv) AND ST_Intersects(b.geom, c.polygons))', [type, ids]) : '',
+    };
+  }, {});
+
+module.exports = buildBoundaryFilters;
+module.exports.BOUNDARY_TYPES = BOUNDARY_TYPES;
@@ -0,0 +1,48 @@
+const pgp = require('pg-promise');
+const { buildProjectFilters, joinFilters } = require('./build-projects-sql');
+const getQueryFile = require('../utils/get-query-file');
+
+const facetQuery = getQueryFile('/projects/facets.sql');
+
+// splits a delimited list column into one row per value
+const splitValues = column => `trim(regexp_split_to_table(${column}, '[,;]'))`;
+
+/**
+ * Lookup map of project facets, keyed by the query param that filters them.
+ * Each facet has a SQL expression for the value(s) a project is counted under,
+ * written to match the values the filter param accepts.
+ */
+const FACETS = {
+  dcp_publicstatus: "coalesce(dcp_publicstatus_simp, 'Unknown')",
+  dcp_ulurp_nonulurp: "coalesce(dcp_ulurp_nonulurp, 'Unknown')",
+  dcp_ceqrtype: "coalesce(dcp_ceqrtype, 'Unknown')",
+  boroughs: splitValues('dcp_borough'),
+  'community-districts': `lower(${splitValues('dcp_communitydistricts')})`,
+  'action-types': splitValues('actiontypes'),
+  dcp_femafloodzonev: 'coalesce(dcp_femafloodzonev, false)::text',
+  dcp_femafloodzonecoastala: 'coalesce(dcp_femafloodzonecoastala, false)::text',
+  dcp_femafloodzonea: 'coalesce(dcp_femafloodzonea, false)::text',
+  dcp_femafloodzoneshadedx: 'coalesce(dcp_femafloodzoneshadedx, false)::text',
+};
+
+/**
+ * Builds a query counting projects per value of every facet, for the same query params as GET /projects.
+ * Each facet is counted with all filters applied except its own,
+ * so the counts show how many projects selecting each value would return.
+ * @param {Object} query - request query params
+ * @returns {string} SQL returning rows of facet, value and count
+ */
+const buildFacetsSQL = (query) => {
+  const filters = buildProjectFilters(query);
+
+  return Object.keys(FACETS)
+    .map(facet => pgp.as.format(facetQuery, {
+      facet,
+      value: FACETS[facet],
+      filters: joinFilters(filters, [facet]),
+    }))
+    .join('\nUNION ALL\n');
+};
+
+module.exports = buildFacetsSQL;
+module.exports.FACETS = FACETS;
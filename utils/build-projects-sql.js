@@ -1,31 +1,37 @@
 const pgp = require('pg-promise');
 const generateDynamicQuery = require('./generate-dynamic-sql');
+const buildSortQuery = require('./project-sort');
+const buildSearchQuery = require('./build-search-query');
+const buildSpatialFilters = require('./spatial-filters');
+const buildBoundaryFilters = require('./boundaries');
+const buildMilestoneFilters = require('./milestone-filters');
+const buildLupProjectsSQL = require('./lup-dashboard');
 const getQueryFile = require('../utils/get-query-file');
 
+const { buildIdentifierPattern } = buildSearchQuery;
+
 // import sql query templates
 const listProjectsQuery = getQueryFile('/projects/index.sql');
 const paginateQuery = getQueryFile('/helpers/paginate.sql');
 const standardColumns = getQueryFile('/helpers/standard-projects-columns.sql');
 const spatialColumns = getQueryFile('/helpers/shp-projects-columns.sql');
-const userProjectsQuery = getQueryFile('/projects/lup-projects.sql');
-
-const buildProjectsSQL = (req, type = 'filter') => {
-  const {
-    query,
-    session,
-  } = req;
 
+/**
+ * Builds the WHERE clause fragment for each projects filter in the query params.
+ * Filters are keyed by the query param they come from, so callers can leave some out,
+ * e.g. GET /projects/facets drops each facet's own filter when counting its values.
+ * Filters that aren't set are empty strings.
+ * Throws a BadRequestError for invalid spatial or milestone filters.
+ * @param {Object} query - request query params
+ * @returns {Object}
+ */
+const buildProjectFilters = (query) => {
   const {
-    // pagination
-    page = '1',
-    itemsPerPage = 30,
-
-    // filters
     'community-districts': communityDistricts = [],
     'action-types': actionTypes = [],
     boroughs = [],
-    dcp_ceqrtype = ['Type I', 'Type II', 'Unlisted', 'Unknown'],
     dcp_ulurp_nonulurp = ['ULURP', 'Non-ULURP'],
+    dcp_ceqrtype = [],
     dcp_femafloodzonev = false,
     dcp_femafloodzonecoastala = false,
     dcp_femafloodzonea = false,
@@ -36,13 +42,17 @@ const buildProjectsSQL = (req, type = 'filter') => {
     block = '',
     distance_from_point = [],
     radius_from_point = 10,
-
-    // user-specific filters
-    // defaults to null because filtering on this
-    // requires authentication
-    project_lup_status = null, // 'to-review'
+    bbox = '',
+    within = '',
+    milestones = {},
   } = query;
 
+  const publicStatusQuery = pgp.as.format("AND coalesce(dcp_publicstatus_simp, 'Unknown') IN ($1:csv)", [dcp_publicstatus]);
+  const ulurpNonUlurpQuery = pgp.as.format("AND coalesce(dcp_ulurp_nonulurp, 'Unknown') IN ($1:csv)", [dcp_ulurp_nonulurp]);
+  // CEQR types are only filtered when some are selected, matching the values of the dcp_ceqrtype facet
+  const ceqrTypes = [].concat(dcp_ceqrtype).filter(Boolean);
+  const ceqrTypeQuery = ceqrTypes[0] ? pgp.as.format("AND coalesce(dcp_ceqrtype, 'Unknown') IN ($1:csv)", [ceqrTypes]) : '';
+
   // special handling for FEMA flood zones
   // to only filter when set to true
   const dcp_femafloodzonevQuery = dcp_femafloodzonev === 'true' ? 'AND dcp_femafloodzonev = true' : '';
@@ -54,7 +64,15 @@ const buildProjectsSQL = (req, type = 'filter') => {
   const communityDistrictsQuery = communityDistricts[0] ? pgp.as.format('AND dcp_communitydistricts ilike any (array[$1:csv])', [communityDistricts.map(district => `%${district}%`)]) : '';
   const boroughsQuery = boroughs[0] ? pgp.as.format('AND dcp_borough ilike any (array[$1:csv])', [boroughs.map(borough => `%${borough}%`)]) : '';
   const actionTypesQuery = actionTypes[0] ? pgp.as.format('AND actiontypes ilike any (array[$1:csv])', [actionTypes.map(actionType => `%${actionType}%`)]) : '';
-  const projectApplicantTextQuery = project_applicant_text ? pgp.as.format("AND ((dcp_projectbrief ilike '%$1:value%') OR (p.dcp_projectname ilike '%$1:value%') OR (applicants ilike '%$1:value%') OR (ulurpnumbers ILIKE '%$1:value%') OR (dcp_ceqrnumber ILIKE '%$1:value%') OR (bbls ILIKE '%$1:value%') OR (keywords ILIKE '%$1:value%'))", [project_applicant_text]) : '';
+  // full-text search against the weighted search_vector column of normalized_projects,
+  // or identifier-like text anywhere in a project's ULURP numbers, CEQR number or BBLs
+  const searchQuery = buildSearchQuery(project_applicant_text);
+  const identifierPattern = buildIdentifierPattern(project_applicant_text);
+  const searchConditions = [
+    searchQuery ? pgp.as.format("p.search_vector @@ to_tsquery('english', $1)", [searchQuery]) : '',
+    identifierPattern ? pgp.as.format('ulurpnumbers ILIKE $1 OR dcp_ceqrnumber ILIKE $1 OR bbls ILIKE $1', [identifierPattern]) : '',
+  ].filter(Boolean);
+  const projectApplicantTextQuery = searchConditions.length ? `AND (${searchConditions.join(' OR ')})` : '';
   const blockQuery = block ? pgp.as.format("AND (blocks ilike '%$1:value%')", [block]) : '';
 
   /**
@@ -77,40 +95,99 @@ const buildProjectsSQL = (req, type = 'filter') => {
    */
   const METERS_TO_FEET_FACTOR = 3.28084;
   const radiusDistanceQuery = distance_from_point[0] ? pgp.as.format('AND ST_DWithin(ST_MakePoint($1,$2)::geography, c.polygons::geography, $3)', [...distance_from_point, (radius_from_point / METERS_TO_FEET_FACTOR)]) : '';
-  const paginate = generateDynamicQuery(paginateQuery, { itemsPerPage, offset: (page - 1) * itemsPerPage });
+  const { bboxQuery, withinQuery } = buildSpatialFilters({ bbox, within });
+
+  return {
+    dcp_publicstatus: publicStatusQuery,
+    dcp_ulurp_nonulurp: ulurpNonUlurpQuery,
+    dcp_ceqrtype: ceqrTypeQuery,
+    dcp_femafloodzonev: dcp_femafloodzonevQuery,
+    dcp_femafloodzonecoastala: dcp_femafloodzonecoastalaQuery,
+    dcp_femafloodzonea: dcp_femafloodzoneaQuery,
+    dcp_femafloodzoneshadedx: dcp_femafloodzoneshadedxQuery,
+    dcp_certifiedreferred: certDateQuery,
+    milestones: buildMilestoneFilters(milestones),
+    'community-districts': communityDistrictsQuery,
+    boroughs: boroughsQuery,
+    'action-types': actionTypesQuery,
+    project_applicant_text: projectApplicantTextQuery,
+    distance_from_point: radiusDistanceQuery,
+    bbox: bboxQuery,
+    within: withinQuery,
+    ...buildBoundaryFilters(query),
+    block: blockQuery,
+  };
+};
 
-  if (type === 'filter') {
-    const { contactId } = session;
+// joins filter fragments into one clause, leaving out filters for the params in `exclude`
+const joinFilters = (filters, exclude = []) => Object.keys(filters)
+  .filter(param => !exclude.includes(param) && filters[param])
+  .map(param => filters[param])
+  .join('\n  ');
 
-    // we have different queries for LUPP things
-    if (project_lup_status && contactId) {
-      // one of 'archive', 'reviewed', 'to-review', 'upcoming'
-      if (!['archive', 'reviewed', 'to-review', 'upcoming'].includes(project_lup_status)) {
-        throw new Error('Must be one of archive, reviewed, to-review, upcoming');
-      }
+// whether a request lists one of the logged-in LUP contact's dashboard tabs, instead of filtering projects
+const isLupQuery = ({ query, session }) => !!(query.project_lup_status && session && session.contactId);
 
-      return pgp.as.format(userProjectsQuery, {
-        id: contactId,
-        status: project_lup_status,
-      });
-    }
+const buildProjectsSQL = (req, type = 'filter') => {
+  const {
+    query,
+    session,
+  } = req;
+
+  const {
+    // pagination
+    page = '1',
+    itemsPerPage = 30,
+    cursor = '',
+
+    // sorting
+    sort,
+
+    // filters used by sorts
+    project_applicant_text = '',
+    distance_from_point = [],
+
+    // user-specific filters
+    // defaults to null because filtering on this
+    // requires authentication
+    project_lup_status = null, // 'to-review'
+  } = query;
 
+  // we have different queries for LUPP things, with their own sorts
+  if (type === 'filter' && isLupQuery(req)) {
+    return buildLupProjectsSQL(session.contactId, project_lup_status, sort);
+  }
+
+  const filters = joinFilters(buildProjectFilters(query));
+  const searchQuery = buildSearchQuery(project_applicant_text);
+  const relevanceColumn = searchQuery ? pgp.as.format(", ts_rank(p.search_vector, to_tsquery('english', $1)) AS relevance", [searchQuery]) : '';
+
+  const {
+    orderBy,
+    cursorColumns,
+    cursorQuery,
+    cursor: decodedCursor,
+  } = buildSortQuery({
+    // LUP dashboard sorts don't apply to the projects of other query types
+    sort: isLupQuery(req) ? undefined : sort,
+    cursor,
+    distance_from_point,
+    project_applicant_text,
+  });
+
+  // cursor pages fetch one extra row to tell whether there is another page
+  const paginate = decodedCursor
+    ? generateDynamicQuery(paginateQuery, { itemsPerPage: parseInt(itemsPerPage) + 1, offset: 0 })
+    : generateDynamicQuery(paginateQuery, { itemsPerPage, offset: (page - 1) * itemsPerPage });
+
+  if (type === 'filter') {
     return pgp.as.format(listProjectsQuery, {
       standardColumns,
-      dcp_publicstatus,
-      dcp_ceqrtype,
-      dcp_ulurp_nonulurp,
-      dcp_femafloodzonevQuery,
-      dcp_femafloodzonecoastalaQuery,
-      dcp_femafloodzoneaQuery,
-      dcp_femafloodzoneshadedxQuery,
-      certDateQuery,
-      communityDistrictsQuery,
-      boroughsQuery,
-      actionTypesQuery,
-      projectApplicantTextQuery,
-      blockQuery,
-      radiusDistanceQuery,
+      filters,
+      relevanceColumn,
+      cursorColumns,
+      cursorQuery,
+      orderBy,
       paginate,
     });
   }
@@ -119,20 +196,11 @@ const buildProjectsSQL = (req, type = 'filter') => {
   if (type === 'projectids') {
     return pgp.as.format(listProjectsQuery, {
       standardColumns: 'projectid',
-      dcp_publicstatus,
-      dcp_ceqrtype,
-      dcp_ulurp_nonulurp,
-      dcp_femafloodzonevQuery,
-      dcp_femafloodzonecoastalaQuery,
-      dcp_femafloodzoneaQuery,
-      dcp_femafloodzoneshadedxQuery,
-      certDateQuery,
-      communityDistrictsQuery,
-      boroughsQuery,
-      actionTypesQuery,
-      projectApplicantTextQuery,
-      blockQuery,
-      radiusDistanceQuery,
+      filters,
+      relevanceColumn: '',
+      cursorColumns: '',
+      cursorQuery: '',
+      orderBy,
       paginate: '',
     });
   }
@@ -140,20 +208,11 @@ const buildProjectsSQL = (req, type = 'filter') => {
   if (type.includes('download')) {
     return pgp.as.format(listProjectsQuery, {
       standardColumns: type === 'spatial_download' ? spatialColumns : standardColumns,
-      dcp_publicstatus,
-      dcp_ceqrtype,
-      dcp_ulurp_nonulurp,
-      dcp_femafloodzonevQuery,
-      dcp_femafloodzonecoastalaQuery,
-      dcp_femafloodzoneaQuery,
-      dcp_femafloodzoneshadedxQuery,
-      certDateQuery,
-      communityDistrictsQuery,
-      boroughsQuery,
-      actionTypesQuery,
-      projectApplicantTextQuery,
-      blockQuery,
-      radiusDistanceQuery,
+      filters,
+      relevanceColumn: '',
+      cursorColumns: '',
+      cursorQuery: '',
+      orderBy,
       paginate: '',
     });
   }
@@ -162,3 +221,6 @@ const buildProjectsSQL = (req, type = 'filter') => {
 };
 
 module.exports = buildProjectsSQL;
+module.exports.buildProjectFilters = buildProjectFilters;
+module.exports.joinFilters = joinFilters;
+module.exports.isLupQuery = isLupQuery;
@@ -0,0 +1,119 @@
+const pgp = require('pg-promise');
+const generateDynamicQuery = require('./generate-dynamic-sql');
+const getQueryFile = require('./get-query-file');
+const buildMilestoneFilters = require('./milestone-filters');
+const { PUBLIC_ACTION_CODES } = require('./transform-actions');
+const BadRequestError = require('../errors/bad-request');
+
+const { MILESTONES, parseMilestoneDate } = buildMilestoneFilters;
+
+// import sql query templates
+const listActionsQuery = getQueryFile('/actions/index.sql');
+const listMilestonesQuery = getQueryFile('/milestones/index.sql');
+const listDispositionsQuery = getQueryFile('/dispositions/index.sql');
+const paginateQuery = getQueryFile('/helpers/paginate.sql');
+
+const MAX_ITEMS_PER_PAGE = 1000;
+
+// matches any of a param's values, e.g. actioncode=ZM&actioncode=ZR or actioncode[]=ZM
+const anyOf = column => value => pgp.as.format(`AND ${column} IN ($1:csv)`, [[].concat(value)]);
+
+// date range filters match records whose dates overlap the range
+const fromDate = column => value => pgp.as.format(`AND ${column} >= to_timestamp($1)`, [parseMilestoneDate(value)]);
+const toDate = column => value => pgp.as.format(`AND ${column} <= to_timestamp($1)`, [parseMilestoneDate(value, true)]);
+
+// milestone types are filtered by their display names, like the milestones filter of GET /projects
+const milestoneIds = names => [].concat(names).map((name) => {
+  if (!MILESTONES[name]) {
+    throw new BadRequestError(`Invalid milestone ${name}, must be one of ${Object.keys(MILESTONES).join(', ')}`);
+  }
+
+  return MILESTONES[name].id;
+});
+
+/**
+ * Lookup map of project records served as their own resources, keyed by JSON:API type.
+ * Each has a query of public records, the column of its id, and its filters keyed by query param.
+ */
+const RESOURCE_QUERIES = {
+  actions: {
+    query: listActionsQuery,
+    idColumn: 'a.dcp_projectactionid',
+    filters: {
+      project: anyOf('p.dcp_name'),
+      ulurpnumber: anyOf('a.dcp_ulurpnumber'),
+      actioncode: anyOf("SUBSTRING(a.dcp_name FROM '^(\\w+)')"),
+      status: anyOf('a.statuscode'),
+      // actions don't have dates of their own, so are filtered by their project's milestones
+      milestones: buildMilestoneFilters,
+    },
+  },
+  milestones: {
+    query: listMilestonesQuery,
+    idColumn: 'mm.dcp_projectmilestoneid',
+    filters: {
+      project: anyOf('p.dcp_name'),
+      milestone: names => anyOf('mm.dcp_milestone')(milestoneIds(names)),
+      status: anyOf('mm.statuscode'),
+      from: fromDate('COALESCE(mm.dcp_actualenddate, mm.dcp_actualstartdate)'),
+      to: toDate('COALESCE(mm.dcp_actualstartdate, mm.dcp_actualenddate)'),
+    },
+  },
+  dispositions: {
+    query: listDispositionsQuery,
+    idColumn: 'disp.dcp_communityboarddispositionid',
+    filters: {
+      project: anyOf('p.dcp_name'),
+      ulurpnumber: anyOf('a.dcp_ulurpnumber'),
+      actioncode: anyOf("SUBSTRING(a.dcp_name FROM '^(\\w+)')"),
+      representing: anyOf('disp.dcp_representing'),
+      status: anyOf('disp.statuscode'),
+      from: fromDate('disp.dcp_dateofvote'),
+      to: toDate('disp.dcp_dateofvote'),
+    },
+  },
+};
+
+// display names of the public milestones, keyed by dcp_milestone id
+const milestoneDisplayNames = Object.keys(MILESTONES)
+  .reduce((names, name) => ({ ...names, [MILESTONES[name].id]: name }), {});
+
+// parses the page params of a list, e.g. page=2&itemsPerPage=100
+const parsePage = ({ page = '1', itemsPerPage = 30 }) => {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const perPage = Math.min(parseInt(itemsPerPage) || 30, MAX_ITEMS_PER_PAGE);
+
+  return { page: pageNumber, perPage, offset: (pageNumber - 1) * perPage };
+};
+
+/**
+ * Builds the SQL for a page of actions, milestones or dispositions matching the query params,
+ * or for one record if an id is given
+ * @param {string} type - a resource type in RESOURCE_QUERIES
+ * @param {Object} query - request query params
+ * @param {string} id - id of a single record
+ * @returns {string}
+ */
+const buildResourcesSQL = (type, query = {}, id = null) => {
+  const { query: listQuery, idColumn, filters } = RESOURCE_QUERIES[type];
+  const { perPage, offset } = parsePage(query);
+
+  const filtersQuery = id
+    ? pgp.as.format(`AND ${idColumn} = $1`, [id])
+    : Object.keys(filters)
+      .filter(param => query[param] !== undefined && query[param] !== '')
+      .map(param => filters[param](query[param]))
+      .join('\n  ');
+
+  return pgp.as.format(listQuery, {
+    filters: filtersQuery,
+    paginate: id ? '' : generateDynamicQuery(paginateQuery, { itemsPerPage: perPage, offset }),
+    displayNames: milestoneDisplayNames,
+    milestoneIds: Object.keys(milestoneDisplayNames),
+    actionCodes: PUBLIC_ACTION_CODES,
+  });
+};
+
+module.exports = buildResourcesSQL;
+module.exports.RESOURCE_QUERIES = RESOURCE_QUERIES;
+module.exports.parsePage = parsePage;
@@ -0,0 +1,58 @@
+// a repeated query param, e.g. ?project_applicant_text=a&project_applicant_text=b, is an array
+const toText = text => [].concat(text).join(' ');
+
+/**
+ * Converts search text into a to_tsquery expression for matching normalized_projects.search_vector
+ * - words must all match: `hudson yards` becomes `hudson & yards`
+ * - quoted text is a phrase, matched in order: `"hudson yards"` becomes `(hudson <-> yards)`
+ * - a trailing * matches a prefix: `rezon*` becomes `rezon:*`
+ * Punctuation is stripped so user input can't break tsquery syntax.
+ * @param {string|string[]} text - search text, e.g. project_applicant_text; arrays are joined
+ * @returns {string} a tsquery expression, empty if the text has no searchable words
+ */
+const buildSearchQuery = (text = '') => {
+  const terms = [];
+  const termsRegex = /"([^"]*)"|(\S+)/g;
+  const searchText = toText(text);
+  let match = termsRegex.exec(searchText);
+
+  while (match) {
+    const [, phrase, word] = match;
+    const isPrefix = word !== undefined && word.endsWith('*');
+
+    // split on anything that isn't a letter or number, so "east-harlem" is treated as a phrase
+    const lexemes = (phrase !== undefined ? phrase : word)
+      .split(/[^0-9A-Za-z\u00C0-\u024F]+/)
+      .filter(Boolean)
+      .map(lexeme => lexeme.toLowerCase());
+
+    if (lexemes.length) {
+      if (isPrefix) lexemes[lexemes.length - 1] += ':*';
+
+      terms.push(lexemes.length > 1 ? `(${lexemes.join(' <-> ')})` : lexemes[0]);
+    }
+
+    match = termsRegex.exec(searchText);
+  }
+
+  return terms.join(' & ');
+};
+
+// ULURP and CEQR numbers and BBLs are single words of letters and numbers, with at least one number
+const IDENTIFIER_REGEX = /^[0-9A-Za-z]*[0-9][0-9A-Za-z]*$/;
+
+/**
+ * Converts search text that looks like a whole or partial identifier, e.g. a ULURP number, CEQR
+ * number or BBL, into an ILIKE pattern. Identifiers are single lexemes in the search_vector, so
+ * partial identifiers can't match them there
+ * @param {string|string[]} text - search text, e.g. project_applicant_text; arrays are joined
+ * @returns {string} an ILIKE pattern matching the identifier anywhere, null if the text isn't identifier-like
+ */
+const buildIdentifierPattern = (text = '') => {
+  const term = toText(text).trim();
+
+  return IDENTIFIER_REGEX.test(term) ? `%${term}%` : null;
+};
+
+module.exports = buildSearchQuery;
+module.exports.buildIdentifierPattern = buildIdentifierPattern;
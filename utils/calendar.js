@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const pgp = require('pg-promise');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const getQueryFile = require('./get-query-file');
+const { MILESTONES, parseMilestoneDate } = require('./milestone-filters');
+
+// import sql query templates
+const calendarEventsQuery = getQueryFile('/calendar/events.sql');
+const lupProjectsQuery = getQueryFile('/calendar/lup-projects.sql');
+
+// public project pages, which events link to
+const ZAP_PROJECT_URL = 'https://zap.planning.nyc.gov/projects';
+
+// the most events a calendar lists
+const MAX_EVENTS = 5000;
+
+// days of past events kept on a calendar, unless a `from` date is given
+const PAST_DAYS = 30;
+
+/**
+ * The milestones shown on calendars, by their display names in utils/milestone-filters.js.
+ * Review periods span their start and end dates, votes and hearings are on one day.
+ */
+const CALENDAR_MILESTONES = [
+  'Community Board Review',
+  'Borough President Review',
+  'Borough Board Review',
+  'City Planning Commission Review',
+  'City Planning Commission Vote',
+  'City Council Review',
+  'Mayoral Review',
+  'Draft Environmental Impact Statement Public Hearing',
+  'Environmental Impact Statement Public Scoping Meeting',
+];
+
+const calendarMilestoneNames = CALENDAR_MILESTONES
+  .reduce((names, name) => ({ ...names, [MILESTONES[name].id]: name }), {});
+
+/**
+ * Builds the SQL for the events of a calendar, from `from` (defaults to 30 days ago) on
+ * @param {Object} options
+ * @param {string} options.from - date of the earliest events, an ISO 8601 date or unix timestamp
+ * @param {string} options.projectsQuery - projects SQL whose projects' events are listed, from build-projects-sql.js
+ * @param {string} options.projectId - only list one project's events
+ * @param {string} options.contactId - only list the events of projects a land use participant is assigned to
+ * @returns {string}
+ */
+const buildCalendarSQL = ({
+  from,
+  projectsQuery,
+  projectId,
+  contactId,
+} = {}) => {
+  const filters = [
+    projectsQuery ? pgp.as.format('AND projectid IN (SELECT dcp_name FROM ($1^) projects)', [projectsQuery]) : '',
+    projectId ? pgp.as.format('AND projectid = $1', [projectId]) : '',
+    contactId ? pgp.as.format('AND projectid IN ($1^)', [pgp.as.format(lupProjectsQuery, { contactId })]) : '',
+  ].filter(Boolean).join('\n  ');
+
+  return pgp.as.format(calendarEventsQuery, {
+    displayNames: calendarMilestoneNames,
+    milestoneIds: Object.keys(calendarMilestoneNames),
+    from: from ? parseMilestoneDate(from) : moment().subtract(PAST_DAYS, 'days').unix(),
+    filters,
+    limit: MAX_EVENTS,
+  });
+};
+
+// escapes TEXT values, see RFC 5545 3.3.11
+const escapeText = (value = '') => `${value === null ? '' : value}`
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// folds content lines longer than 75 octets, see RFC 5545 3.1
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+
+  Array.from(line).forEach((char) => {
+    // continuation lines start with a space, which counts toward their length
+    const limit = chunks.length ? 74 : 75;
+
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+
+    chunk += char;
+  });
+
+  return [...chunks, chunk].join('\r\n ');
+};
+
+const formatDate = date => moment(date).format('YYYYMMDD');
+
+// events are all-day, ending the day after their last day
+const vevent = (event, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}@zap.planning.nyc.gov`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART;VALUE=DATE:${formatDate(event.start_date)}`,
+  `DTEND;VALUE=DATE:${formatDate(moment(event.end_date || event.start_date).add(1, 'day'))}`,
+  `SUMMARY:${escapeText(`${event.event_name}: ${event.dcp_projectname}`)}`,
+  `DESCRIPTION:${escapeText(`${event.dcp_projectname} (${event.projectid})\n${ZAP_PROJECT_URL}/${event.projectid}`)}`,
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  `URL:${ZAP_PROJECT_URL}/${event.projectid}`,
+  `STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT',
+];
+
+/**
+ * Builds an iCalendar document of events
+ * @param {string} name - calendar name shown by calendar apps
+ * @param {Array} events - rows of queries/calendar/events.sql
+ * @returns {string}
+ */
+const buildCalendar = (name, events) => {
+  const stamp = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NYC Department of City Planning//ZAP API//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:America/New_York',
+    ...events.reduce((lines, event) => [...lines, ...vevent(event, stamp)], []),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n').concat('\r\n');
+};
+
+/**
+ * Sends an iCalendar document of events
+ * @param {Object} res - express response
+ * @param {string} name - calendar name
+ * @param {Array} events
+ */
+const sendCalendar = (res, name, events) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.send(buildCalendar(name, events));
+};
+
+// days a calendar token is valid for, unless CALENDAR_TOKEN_TTL_DAYS says otherwise
+const DEFAULT_CALENDAR_TOKEN_TTL_DAYS = 90;
+
+// audience of calendar tokens, which aren't valid anywhere else
+const CALENDAR_AUDIENCE = 'zap-calendar';
+
+// calendar tokens are signed with their own key, derived from CRM_SIGNING_SECRET, so they can't be
+// used as session cookies, which are verified with CRM_SIGNING_SECRET itself
+const calendarSigningKey = () => crypto
+  .createHmac('sha256', process.env.CRM_SIGNING_SECRET)
+  .update(CALENDAR_AUDIENCE)
+  .digest('hex');
+
+/**
+ * Signs a token that lets calendar apps, which can't send the session cookie, subscribe to a
+ * land use participant's calendar. Tokens expire after CALENDAR_TOKEN_TTL_DAYS, when `GET /users` gives a new URL
+ * @param {string} contactId
+ * @returns {string}
+ */
+const signCalendarToken = (contactId) => {
+  const ttlDays = parseInt(process.env.CALENDAR_TOKEN_TTL_DAYS) || DEFAULT_CALENDAR_TOKEN_TTL_DAYS;
+
+  return jwt.sign({ contactId }, calendarSigningKey(), {
+    audience: CALENDAR_AUDIENCE,
+    expiresIn: `${ttlDays}d`,
+  });
+};
+
+/**
+ * Verifies a calendar token
+ * @param {string} token
+ * @returns {string} the token's contactId, or null if it isn't a valid, unexpired calendar token
+ */
+const verifyCalendarToken = (token) => {
+  try {
+    const { contactId } = jwt.verify(token, calendarSigningKey(), { audience: CALENDAR_AUDIENCE });
+
+    return contactId || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+module.exports = sendCalendar;
+module.exports.CALENDAR_MILESTONES = CALENDAR_MILESTONES;
+module.exports.buildCalendarSQL = buildCalendarSQL;
+module.exports.buildCalendar = buildCalendar;
+module.exports.signCalendarToken = signCalendarToken;
+module.exports.verifyCalendarToken = verifyCalendarToken;
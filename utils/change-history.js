@@ -0,0 +1,124 @@
+const pgp = require('pg-promise');
+const moment = require('moment');
+const getQueryFile = require('./get-query-file');
+const generateDynamicQuery = require('./generate-dynamic-sql');
+const { MILESTONES, parseMilestoneDate } = require('./milestone-filters');
+const { parsePage } = require('./build-resources-sql');
+const { PUBLIC_ACTION_CODES } = require('./transform-actions');
+const BadRequestError = require('../errors/bad-request');
+
+// import sql query templates
+const createCurrentRecordsQuery = getQueryFile('/changes/create-current-records.sql');
+const hasSnapshotsQuery = getQueryFile('/changes/has-snapshots.sql');
+const insertChangesQuery = getQueryFile('/changes/insert-changes.sql');
+const updateSnapshotsQuery = getQueryFile('/changes/update-snapshots.sql');
+const purgeChangesQuery = getQueryFile('/changes/purge.sql');
+const listChangesQuery = getQueryFile('/changes/index.sql');
+const paginateQuery = getQueryFile('/helpers/paginate.sql');
+
+// display names of the public milestones, keyed by dcp_milestone id
+const milestoneDisplayNames = Object.keys(MILESTONES)
+  .reduce((names, name) => ({ ...names, [MILESTONES[name].id]: name }), {});
+
+/**
+ * Lookup map of the record types whose changes are recorded, keyed by record_type.
+ * Each query selects the current record_id, project_id, record_name and tracked `fields` of every public record.
+ */
+const TRACKED_RECORDS = {
+  projects: getQueryFile('/changes/current-projects.sql'),
+  milestones: getQueryFile('/changes/current-milestones.sql'),
+  actions: getQueryFile('/changes/current-actions.sql'),
+};
+
+// compares one record type to its last snapshots. The first run only takes snapshots,
+// so every existing record isn't recorded as created
+const recordTypeChanges = async (t, type) => {
+  const currentQuery = pgp.as.format(TRACKED_RECORDS[type], {
+    displayNames: milestoneDisplayNames,
+    milestoneIds: Object.keys(milestoneDisplayNames),
+    actionCodes: PUBLIC_ACTION_CODES,
+  });
+
+  await t.none(createCurrentRecordsQuery, { currentQuery });
+
+  const { has_snapshots: hasSnapshots } = await t.one(hasSnapshotsQuery, { type });
+
+  if (hasSnapshots) await t.none(insertChangesQuery, { type });
+
+  await t.none(updateSnapshotsQuery, { type });
+};
+
+/**
+ * Records field-level changes to projects, milestones and actions since the last run, and purges
+ * changes older than the retention period. Run after every refresh of normalized_projects.
+ * @param {Object} db - pg-promise database
+ * @param {Object} options
+ * @param {number} options.retentionDays - days changes are kept
+ * @returns {Promise}
+ */
+const recordChanges = (db, { retentionDays = 365 } = {}) => db.tx(t => Object.keys(TRACKED_RECORDS)
+  .reduce((previous, type) => previous.then(() => recordTypeChanges(t, type)), Promise.resolve())
+  .then(() => t.none(purgeChangesQuery, { retentionDays: parseInt(retentionDays) })));
+
+// changes are polled with the exact changed_at of the last change seen, so date times keep their milliseconds
+const parseChangeDate = (value, endOfDay = false) => {
+  const date = moment.utc(value, moment.ISO_8601, true);
+
+  if (!date.isValid() || /^\d{4}-\d{2}-\d{2}$/.test(value)) return parseMilestoneDate(value, endOfDay);
+
+  return date.valueOf() / 1000;
+};
+
+// change ids are assigned in the order changes are recorded, so polling by id doesn't skip changes
+// recorded at the same time
+const parseChangeId = (value) => {
+  if (!/^\d+$/.test(value)) {
+    throw new BadRequestError(`Invalid since_id ${value}, must be the id of a change`);
+  }
+
+  return value;
+};
+
+/**
+ * Builds the SQL for a page of recorded changes
+ * @param {Object} query - request query params: `since` and `until` dates, `since_id` the id of the
+ * last change seen, `type` record types, and the page params of utils/build-resources-sql.js
+ * @param {Object} options
+ * @param {string} options.projectId - only changes to this project and its records
+ * @param {string} options.direction - 'asc' for oldest first, 'desc' for newest first
+ * @returns {string}
+ */
+const buildChangesSQL = (query = {}, { projectId = null, direction = 'asc' } = {}) => {
+  const {
+    since,
+    until,
+    since_id: sinceId,
+    type,
+  } = query;
+  const { perPage, offset } = parsePage(query);
+
+  const types = [].concat(type || []);
+  const invalidTypes = types.filter(recordType => !TRACKED_RECORDS[recordType]);
+
+  if (invalidTypes.length) {
+    throw new BadRequestError(`Invalid type ${invalidTypes.join(', ')}, must be one of ${Object.keys(TRACKED_RECORDS).join(', ')}`);
+  }
+
+  const filters = [
+    projectId ? pgp.as.format('AND ch.project_id = $1', [projectId]) : '',
+    since ? pgp.as.format('AND ch.changed_at > to_timestamp($1)', [parseChangeDate(since)]) : '',
+    until ? pgp.as.format('AND ch.changed_at <= to_timestamp($1)', [parseChangeDate(until, true)]) : '',
+    sinceId !== undefined ? pgp.as.format('AND ch.id > $1', [parseChangeId(sinceId)]) : '',
+    types[0] ? pgp.as.format('AND ch.record_type IN ($1:csv)', [types]) : '',
+  ].filter(Boolean).join('\n  ');
+
+  return pgp.as.format(listChangesQuery, {
+    filters,
+    direction: direction === 'desc' ? 'DESC' : 'ASC',
+    paginate: generateDynamicQuery(paginateQuery, { itemsPerPage: perPage, offset }),
+  });
+};
+
+module.exports = recordChanges;
+module.exports.TRACKED_RECORDS = TRACKED_RECORDS;
+module.exports.buildChangesSQL = buildChangesSQL;
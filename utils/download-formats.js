@@ -0,0 +1,126 @@
+const {
+  expandActions,
+  toCSV,
+  toFeatures,
+  renameFields,
+  toFeatureCollection,
+  toFeatureLines,
+} = require('./download-streams');
+
+// shapefile (dBase) field names can be at most 10 characters
+const SHAPEFILE_FIELD_LENGTH = 10;
+
+// readable short names for the spatial download columns, see queries/helpers/shp-projects-columns.sql
+const SHAPEFILE_FIELDS = {
+  dcp_ceqrnumber: 'ceqrnumber',
+  dcp_ceqrtype: 'ceqrtype',
+  dcp_projectname: 'projname',
+  dcp_projectbrief: 'projbrief',
+  dcp_publicstatus_simp: 'pubstatus',
+  dcp_borough: 'borough',
+  dcp_ulurp_nonulurp: 'ulurp',
+  dcp_communitydistricts: 'cds',
+  actiontypes: 'actiontype',
+  dcp_certifiedreferred: 'certrefrd',
+  dcp_femafloodzonea: 'fema_a',
+  dcp_femafloodzonecoastala: 'fema_coast',
+  dcp_femafloodzoneshadedx: 'fema_shdx',
+  dcp_femafloodzonev: 'fema_v',
+  lastmilestonedate: 'lastmsdate',
+  total_projects: 'totalprojs',
+  has_centroid: 'hascentrd',
+  ulurpnumbers: 'ulurpnums',
+};
+
+/**
+ * Maps column names to unique shapefile field names of at most 10 characters.
+ * Long columns without a short name in SHAPEFILE_FIELDS drop their dcp_ prefix and are truncated,
+ * with a number replacing the end of names that would repeat.
+ * @param {Array} fields - column names
+ * @returns {Object} short names keyed by column name
+ */
+const shortenFieldNames = fields => fields.reduce((names, field) => {
+  const used = Object.keys(names).map(key => names[key]);
+  const shortName = SHAPEFILE_FIELDS[field]
+    || (field.length > SHAPEFILE_FIELD_LENGTH ? field.replace(/^dcp_/, '').slice(0, SHAPEFILE_FIELD_LENGTH) : field);
+  let name = shortName;
+
+  for (let i = 1; used.includes(name); i += 1) {
+    name = `${shortName.slice(0, SHAPEFILE_FIELD_LENGTH - `${i}`.length)}${i}`;
+  }
+
+  return { ...names, [field]: name };
+}, {});
+
+/**
+ * Lookup map of download formats, keyed by the filetype in /projects.:filetype.
+ * Each format has a content type and filename, the type of projects SQL it reads (see build-projects-sql.js),
+ * and how the file is written:
+ * - `stream` formats serialize rows from a database cursor straight to the response
+ * - `ogr` formats stream GeoJSON Features to ogr2ogr, converting them with a GDAL driver.
+ *    Drivers that can't write to stdout write to a temporary file first (toFile)
+ * - `workbook` is an Excel workbook with a projects sheet and an actions sheet
+ * Formats with noContent respond with a 204 when no projects match.
+ */
+const DOWNLOAD_FORMATS = {
+  csv: {
+    writer: 'stream',
+    sqlType: 'csv_download',
+    contentType: 'text/csv',
+    filename: 'projects.csv',
+    noContent: true,
+    streams: () => [expandActions(), toCSV()],
+  },
+  geojson: {
+    writer: 'stream',
+    sqlType: 'spatial_download',
+    contentType: 'application/json',
+    filename: 'projects.geojson',
+    streams: () => [toFeatures(), toFeatureCollection()],
+  },
+  // newline-delimited GeoJSON, one Feature per line
+  ndjson: {
+    writer: 'stream',
+    sqlType: 'spatial_download',
+    contentType: 'application/x-ndjson',
+    filename: 'projects.ndjson',
+    streams: () => [toFeatures(), toFeatureLines()],
+  },
+  shp: {
+    writer: 'ogr',
+    sqlType: 'spatial_download',
+    contentType: 'application/zip',
+    filename: 'projects.zip',
+    driver: 'ESRI Shapefile',
+    options: ['-nln', 'projects'], // sets name of individual files in shapefile
+    streams: () => [renameFields(shortenFieldNames), toFeatures(), toFeatureCollection()],
+  },
+  gpkg: {
+    writer: 'ogr',
+    sqlType: 'spatial_download',
+    contentType: 'application/geopackage+sqlite3',
+    filename: 'projects.gpkg',
+    driver: 'GPKG',
+    options: ['-nln', 'projects'],
+    toFile: true,
+    streams: () => [toFeatures(), toFeatureCollection()],
+  },
+  kml: {
+    writer: 'ogr',
+    sqlType: 'spatial_download',
+    contentType: 'application/vnd.google-earth.kml+xml',
+    filename: 'projects.kml',
+    driver: 'KML',
+    options: ['-nln', 'projects', '-dsco', 'NameField=dcp_projectname'],
+    streams: () => [toFeatures(), toFeatureCollection()],
+  },
+  xlsx: {
+    writer: 'workbook',
+    sqlType: 'csv_download',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    filename: 'projects.xlsx',
+  },
+};
+
+module.exports = DOWNLOAD_FORMATS;
+module.exports.shortenFieldNames = shortenFieldNames;
@@ -0,0 +1,84 @@
+const os = require('os');
+const { Transform } = require('stream');
+const JSONStream = require('JSONStream');
+const { parse: json2csv } = require('json2csv');
+const transformActions = require('./transform-actions');
+
+// transform streams that serialize projects rows from a database cursor into download files
+
+// expands each row's action type codes into descriptions
+const expandActions = () => new Transform({
+  objectMode: true,
+  transform(row, encoding, callback) {
+    transformActions(row);
+    callback(null, row);
+  },
+});
+
+// serializes rows as CSV lines, with a header from the first row's columns
+const toCSV = () => {
+  let fields = null;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      try {
+        if (!fields) {
+          fields = Object.keys(row);
+          callback(null, json2csv([row], { fields }));
+        } else {
+          callback(null, `${os.EOL}${json2csv([row], { fields, header: false })}`);
+        }
+      } catch (e) {
+        callback(e);
+      }
+    },
+  });
+};
+
+// turns rows with a `geom` GeoJSON string into GeoJSON Features
+const toFeatures = () => new Transform({
+  objectMode: true,
+  transform(row, encoding, callback) {
+    const { geom, ...properties } = row;
+
+    callback(null, {
+      type: 'Feature',
+      geometry: geom ? JSON.parse(geom) : null,
+      properties,
+    });
+  },
+});
+
+// renames each row's columns, for formats with limits on field names.
+// fieldNames is called with the first row's columns and returns a map of new names
+const renameFields = (fieldNames) => {
+  let names = null;
+
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      if (!names) names = fieldNames(Object.keys(row));
+
+      callback(null, Object.keys(row).reduce((renamed, field) => ({
+        ...renamed,
+        [names[field]]: row[field],
+      }), {}));
+    },
+  });
+};
+
+// serializes Features as a GeoJSON FeatureCollection
+const toFeatureCollection = () => JSONStream.stringify('{"type":"FeatureCollection","features":[\n', ',\n', '\n]}\n');
+
+// serializes Features as newline-delimited GeoJSON, one Feature per line
+const toFeatureLines = () => JSONStream.stringify(false);
+
+module.exports = {
+  expandActions,
+  toCSV,
+  toFeatures,
+  renameFields,
+  toFeatureCollection,
+  toFeatureLines,
+};
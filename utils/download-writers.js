@@ -0,0 +1,192 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const pgp = require('pg-promise');
+const QueryStream = require('pg-query-stream');
+const ogr2ogr = require('ogr2ogr');
+const Excel = require('exceljs');
+
+const getQueryFile = require('./get-query-file');
+const transformActions = require('./transform-actions');
+
+const { PUBLIC_ACTION_CODES } = transformActions;
+
+const downloadActionsQuery = getQueryFile('/projects/download-actions.sql');
+
+// calls onRow for every row read, and onEmpty if the query has no rows
+const countRows = ({ onRow = () => {}, onEmpty = () => {} }) => {
+  let hasRows = false;
+
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      hasRows = true;
+      onRow(row);
+      callback(null, row);
+    },
+    flush(callback) {
+      if (!hasRows) onEmpty();
+      callback();
+    },
+  });
+};
+
+// resolves when everything written to a stream has been flushed
+const finished = output => new Promise((resolve, reject) => {
+  output.on('finish', resolve).on('error', reject);
+});
+
+/**
+ * Streams rows from a database cursor through serializers, so large downloads aren't held in memory
+ * @param {Object} db - pg-promise database
+ * @param {string} SQL
+ * @param {Array} serializers - transform streams, the first reads rows, and optionally the output they write to
+ * @param {Object} options - onRow and onEmpty callbacks
+ * @returns {Promise} resolves when every row has been serialized, rejects if the query or a stream fails
+ */
+const streamRows = (db, SQL, serializers, options = {}) => new Promise((resolve, reject) => {
+  const query = new QueryStream(SQL, [], { batchSize: 1000 });
+
+  db.stream(query, (rows) => {
+    pipeline(rows, countRows(options), ...serializers, (error) => {
+      if (!error) return resolve();
+
+      // destroying the rows doesn't end the query, so fail it to close its cursor and release its connection
+      if (rows.listenerCount('error')) rows.emit('error', error);
+
+      return reject(error);
+    });
+  }).catch(reject);
+});
+
+// serializes rows straight to the output, stopping the query if the output closes early, e.g. when a client aborts
+const streamWriter = async (db, SQL, output, format, options) => {
+  options.onStart();
+
+  await streamRows(db, SQL, [...format.streams(), output], options);
+};
+
+// converts streamed GeoJSON with ogr2ogr. Drivers that can't write to stdout write to a temporary file first
+const ogrWriter = async (db, SQL, output, format, options) => {
+  const serializers = format.streams();
+  const destination = format.toFile
+    ? path.join(os.tmpdir(), `projects-${crypto.randomBytes(8).toString('hex')}${path.extname(format.filename)}`)
+    : null;
+
+  const conversion = ogr2ogr(serializers[serializers.length - 1], 'GeoJSON')
+    .format(format.driver)
+    .skipfailures()
+    .timeout(options.timeout)
+    .options(format.options);
+
+  if (destination) conversion.destination(destination);
+
+  const converted = conversion.stream();
+  const done = new Promise((resolve, reject) => {
+    if (destination) {
+      converted.on('error', reject).on('close', resolve).resume();
+    } else {
+      options.onStart();
+      pipeline(converted, output, error => (error ? reject(error) : resolve()));
+    }
+  });
+
+  try {
+    await Promise.all([streamRows(db, SQL, serializers, options), done]);
+
+    if (destination) {
+      options.onStart();
+      await new Promise((resolve, reject) => {
+        pipeline(fs.createReadStream(destination), output, error => (error ? reject(error) : resolve()));
+      });
+    }
+  } finally {
+    if (destination) fs.unlink(destination, () => {});
+  }
+};
+
+// spreadsheet cells can't hold arrays or objects
+const toCellValue = (value) => {
+  if (Array.isArray(value)) return value.join(';');
+  if (value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+
+  return value;
+};
+
+// streams rows from the database into a new sheet of a streaming workbook
+const addSheet = (db, workbook, name, SQL, { transformRow = () => {}, ...options } = {}) => {
+  const sheet = workbook.addWorksheet(name);
+  let hasColumns = false;
+
+  const toSheet = new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      transformRow(row);
+
+      if (!hasColumns) {
+        sheet.columns = Object.keys(row).map(key => ({ header: key, key }));
+        hasColumns = true;
+      }
+
+      sheet.addRow(Object.keys(row).reduce((values, key) => ({
+        ...values,
+        [key]: toCellValue(row[key]),
+      }), {})).commit();
+      callback();
+    },
+  });
+
+  return streamRows(db, SQL, [toSheet], options).then(() => sheet.commit());
+};
+
+// writes an Excel workbook with a projects sheet and a sheet of their actions
+const workbookWriter = async (db, SQL, output, format, options) => {
+  const workbook = new Excel.stream.xlsx.WorkbookWriter({ stream: output });
+  const written = finished(output);
+
+  options.onStart();
+
+  await addSheet(db, workbook, 'projects', SQL, { ...options, transformRow: transformActions });
+  await addSheet(db, workbook, 'actions', pgp.as.format(downloadActionsQuery, {
+    projectsSQL: SQL,
+    actionCodes: PUBLIC_ACTION_CODES,
+  }));
+  await workbook.commit();
+  await written;
+};
+
+const WRITERS = {
+  stream: streamWriter,
+  ogr: ogrWriter,
+  workbook: workbookWriter,
+};
+
+/**
+ * Writes a download file of projects with the writer for its format (see download-formats.js).
+ * Used by /projects.:filetype, which writes to the response, and by export jobs, which write to a file.
+ * @param {Object} db - pg-promise database
+ * @param {string} SQL - projects SQL of the format's sqlType
+ * @param {Object} output - writable stream the file is written to
+ * @param {Object} format - a download format
+ * @param {Object} options
+ * @param {Function} options.onStart - called just before the file is written, e.g. to set response headers
+ * @param {Function} options.onRow - called for every project read
+ * @param {Function} options.onEmpty - called if no projects match
+ * @param {number} options.timeout - milliseconds ogr2ogr may run before it's stopped
+ * @returns {Promise} resolves when the whole file has been written
+ */
+const writeDownload = (db, SQL, output, format, {
+  onStart = () => {},
+  onRow = () => {},
+  onEmpty = () => {},
+  timeout = 60000,
+} = {}) => WRITERS[format.writer](db, SQL, output, format, {
+  onStart,
+  onRow,
+  onEmpty,
+  timeout,
+});
+
+module.exports = writeDownload;
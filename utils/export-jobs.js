@@ -0,0 +1,204 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const getQueryFile = require('./get-query-file');
+const writeDownload = require('./download-writers');
+const DOWNLOAD_FORMATS = require('./download-formats');
+
+// import sql query templates
+const insertExportJobQuery = getQueryFile('/export-jobs/insert.sql');
+const findExportJobQuery = getQueryFile('/export-jobs/show.sql');
+const claimExportJobQuery = getQueryFile('/export-jobs/claim.sql');
+const countProjectsQuery = getQueryFile('/export-jobs/count.sql');
+const progressExportJobQuery = getQueryFile('/export-jobs/progress.sql');
+const heartbeatExportJobQuery = getQueryFile('/export-jobs/heartbeat.sql');
+const completeExportJobQuery = getQueryFile('/export-jobs/complete.sql');
+const failExportJobQuery = getQueryFile('/export-jobs/fail.sql');
+const failInterruptedExportJobsQuery = getQueryFile('/export-jobs/fail-interrupted.sql');
+const purgeExportJobsQuery = getQueryFile('/export-jobs/purge.sql');
+
+// milliseconds between progress updates of a running job
+const PROGRESS_INTERVAL = 1000;
+
+// seconds between heartbeats of a running job. Jobs that miss a few were interrupted
+const HEARTBEAT_INTERVAL = 30;
+const STALE_HEARTBEATS = 3;
+
+/**
+ * Creates a queue of export jobs, which write project download files in the background.
+ * Jobs are kept in the export_jobs table, so any API process can report their status, and are
+ * run by whichever process claims them first. Finished files are kept in export storage until
+ * the job expires, when they are purged.
+ * @param {Object} db - pg-promise database
+ * @param {Object} storage - an export storage, see export-storage.js
+ * @param {Object} options
+ * @param {number} options.ttl - seconds a job and its file are kept
+ * @param {number} options.timeout - seconds a job may run before it's stopped and failed
+ * @param {number} options.concurrency - jobs each process runs at once
+ * @param {number} options.pollInterval - seconds between checks for queued jobs and purges
+ * @returns {Object}
+ */
+const createExportJobs = (db, storage, {
+  ttl = 86400,
+  timeout = 1800,
+  concurrency = 1,
+  pollInterval = 10,
+} = {}) => {
+  const maxRunning = parseInt(concurrency);
+  let running = 0;
+  let polling = false;
+  let timer = null;
+
+  const run = async (job) => {
+    const format = DOWNLOAD_FORMATS[job.format];
+    const filePath = path.join(os.tmpdir(), `export-${job.id}${path.extname(format.filename)}`);
+    const output = fs.createWriteStream(filePath);
+    let rowsWritten = 0;
+    let reportedAt = Date.now();
+    let timedOut = false;
+    let deadline;
+
+    // fails a job that runs past the timeout, wherever it's stuck, and stops writing its file
+    const timeLimit = new Promise((resolve, reject) => {
+      deadline = setTimeout(() => {
+        timedOut = true;
+        output.destroy();
+        reject(new Error(`Export timed out after ${timeout} seconds`));
+      }, parseInt(timeout) * 1000);
+    });
+
+    // keeps the job's claim fresh, so purges don't fail it as interrupted while it runs
+    const heartbeat = setInterval(() => {
+      db.none(heartbeatExportJobQuery, { id: job.id })
+        .catch(error => console.log(`Error updating export heartbeat (id: ${job.id})`, error)); // eslint-disable-line
+    }, HEARTBEAT_INTERVAL * 1000);
+
+    const writeExport = async () => {
+      const { total: totalRows } = await db.one(countProjectsQuery, { projectsQuery: job.projects_query });
+      await db.none(progressExportJobQuery, { id: job.id, totalRows, rowsWritten });
+
+      await writeDownload(db, job.projects_query, output, format, {
+        timeout: parseInt(timeout) * 1000,
+        onRow() {
+          rowsWritten += 1;
+
+          if (Date.now() - reportedAt < PROGRESS_INTERVAL) return;
+          reportedAt = Date.now();
+
+          db.none(progressExportJobQuery, { id: job.id, totalRows, rowsWritten })
+            .catch(error => console.log(`Error updating export progress (id: ${job.id})`, error)); // eslint-disable-line
+        },
+      });
+
+      // a job that timed out while its file was written has already failed
+      if (timedOut) return;
+
+      const fileKey = `${job.id}${path.extname(format.filename)}`;
+      await storage.put(fileKey, filePath, format);
+
+      if (timedOut) {
+        await storage.remove(fileKey);
+        return;
+      }
+
+      await db.none(completeExportJobQuery, {
+        id: job.id,
+        rowsWritten,
+        fileKey,
+        ttl: parseInt(ttl),
+      });
+    };
+
+    try {
+      await Promise.race([writeExport(), timeLimit]);
+    } catch (error) {
+      console.log(`Error running export (id: ${job.id})`, error); // eslint-disable-line
+      await db.none(failExportJobQuery, { id: job.id, error: timedOut ? 'Export timed out' : 'Unable to complete export' });
+    } finally {
+      clearTimeout(deadline);
+      clearInterval(heartbeat);
+      fs.unlink(filePath, () => {});
+    }
+  };
+
+  return {
+    /**
+     * Queues a new export job
+     * @param {string} format - a download format name
+     * @param {string} projectsQuery - projects SQL of the format's sqlType
+     * @returns {Promise} the job
+     */
+    async enqueue(format, projectsQuery) {
+      const job = await db.one(insertExportJobQuery, {
+        id: crypto.randomBytes(16).toString('hex'),
+        format,
+        projectsQuery,
+        ttl: parseInt(ttl),
+      });
+
+      this.poll().catch(error => console.log('Error polling export jobs', error)); // eslint-disable-line
+
+      return job;
+    },
+
+    // finds a job that hasn't expired, or null
+    find(id) {
+      return db.oneOrNone(findExportJobQuery, { id });
+    },
+
+    // runs queued jobs until this process is running as many as it can
+    async poll() {
+      if (polling) return;
+      polling = true;
+
+      // each finished job makes room for the next
+      const next = () => {
+        running -= 1;
+        return this.poll();
+      };
+
+      try {
+        while (running < maxRunning) {
+          const job = await db.oneOrNone(claimExportJobQuery); // eslint-disable-line no-await-in-loop
+          if (!job) return;
+
+          running += 1;
+          run(job)
+            .catch(error => console.log(`Error failing export (id: ${job.id})`, error)) // eslint-disable-line
+            .then(next)
+            .catch(error => console.log('Error polling export jobs', error)); // eslint-disable-line
+        }
+      } finally {
+        polling = false;
+      }
+    },
+
+    // fails interrupted jobs, and deletes expired jobs and their files
+    async purge() {
+      await db.none(failInterruptedExportJobsQuery, { staleAfter: HEARTBEAT_INTERVAL * STALE_HEARTBEATS });
+
+      const expired = await db.any(purgeExportJobsQuery);
+
+      await Promise.all(expired
+        .filter(({ file_key: fileKey }) => fileKey)
+        .map(({ file_key: fileKey }) => storage.remove(fileKey)));
+    },
+
+    // starts polling for queued jobs, including jobs queued by other processes
+    start() {
+      const tick = () => Promise.all([this.poll(), this.purge()])
+        .catch(error => console.log('Error polling export jobs', error)); // eslint-disable-line
+
+      tick();
+      timer = setInterval(tick, parseInt(pollInterval) * 1000);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+    },
+  };
+};
+
+module.exports = createExportJobs;
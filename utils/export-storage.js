@@ -0,0 +1,103 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const copyFile = promisify(fs.copyFile);
+const mkdir = promisify(fs.mkdir);
+const unlink = promisify(fs.unlink);
+
+// the default local directory, in the system temp directory
+const DEFAULT_DIR = path.join(os.tmpdir(), 'zap-exports');
+
+// keys are generated by export jobs, but are never allowed to leave the storage directory
+const localPath = (dir, key) => path.join(dir, path.basename(key));
+
+// keeps export files on local disk; only works when every API process shares the disk
+const localStorage = ({ dir = DEFAULT_DIR }) => ({
+  async put(key, filePath) {
+    await mkdir(dir, { recursive: true });
+    await copyFile(filePath, localPath(dir, key));
+  },
+
+  // local files are streamed by GET /exports/:id/download
+  async url() {
+    return null;
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(localPath(dir, key));
+  },
+
+  async remove(key) {
+    try {
+      await unlink(localPath(dir, key));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  },
+});
+
+// keeps export files in an S3 bucket, downloaded with short-lived signed URLs.
+// credentials are read from the standard AWS environment variables
+const s3Storage = ({ bucket, prefix = '' }) => {
+  if (!bucket) throw new Error('The s3 export storage requires EXPORT_S3_BUCKET');
+
+  const S3 = require('aws-sdk/clients/s3'); // eslint-disable-line global-require
+  const s3 = new S3();
+  const objectKey = key => `${prefix}${key}`;
+
+  return {
+    async put(key, filePath, { contentType, filename }) {
+      await s3.upload({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(filePath),
+        ContentType: contentType,
+        ContentDisposition: `attachment; filename=${filename}`,
+      }).promise();
+    },
+
+    async url(key) {
+      return s3.getSignedUrlPromise('getObject', {
+        Bucket: bucket,
+        Key: objectKey(key),
+        Expires: 300,
+      });
+    },
+
+    createReadStream(key) {
+      return s3.getObject({ Bucket: bucket, Key: objectKey(key) }).createReadStream();
+    },
+
+    async remove(key) {
+      await s3.deleteObject({ Bucket: bucket, Key: objectKey(key) }).promise();
+    },
+  };
+};
+
+const STORAGES = {
+  local: localStorage,
+  s3: s3Storage,
+};
+
+/**
+ * Creates the export file storage named by type.
+ * Storages expose async put(key, filePath, format), url(key), remove(key), and createReadStream(key).
+ * url resolves to a URL the file can be downloaded from directly, or null if it's served by the API
+ * @param {Object} options
+ * @param {string} options.type - one of 'local' (default) or 's3'
+ * @param {string} options.dir - directory of the local storage
+ * @param {string} options.bucket - bucket of the s3 storage
+ * @param {string} options.prefix - prefix of keys in the s3 bucket
+ * @returns {Object}
+ */
+const createExportStorage = ({ type = 'local', ...options } = {}) => {
+  if (!STORAGES[type]) {
+    throw new Error(`Unknown export storage ${type}, must be one of ${Object.keys(STORAGES).join(', ')}`);
+  }
+
+  return STORAGES[type](options);
+};
+
+module.exports = createExportStorage;
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+
+// public project pages, which feed entries link to
+const ZAP_PROJECT_URL = 'https://zap.planning.nyc.gov/projects';
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+const escapeXML = (value = '') => `${value === null ? '' : value}`.replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+const toDate = value => (value ? new Date(value) : null);
+
+// the newest date of a feed's entries, or the start of the epoch for an empty feed
+const latestDate = entries => entries
+  .reduce((latest, { updated }) => (updated > latest ? updated : latest), new Date(0));
+
+const atomEntry = ({
+  id,
+  title,
+  link,
+  updated,
+  summary,
+  category,
+}) => [
+  '  <entry>',
+  `    <id>${escapeXML(id)}</id>`,
+  `    <title>${escapeXML(title)}</title>`,
+  `    <link rel="alternate" type="text/html" href="${escapeXML(link)}"/>`,
+  `    <updated>${updated.toISOString()}</updated>`,
+  ...(category ? [`    <category term="${escapeXML(category)}"/>`] : []),
+  ...(summary ? [`    <summary>${escapeXML(summary)}</summary>`] : []),
+  '  </entry>',
+].join('\n');
+
+const rssItem = ({
+  id,
+  title,
+  link,
+  updated,
+  summary,
+  category,
+}) => [
+  '    <item>',
+  `      <guid isPermaLink="false">${escapeXML(id)}</guid>`,
+  `      <title>${escapeXML(title)}</title>`,
+  `      <link>${escapeXML(link)}</link>`,
+  `      <pubDate>${updated.toUTCString()}</pubDate>`,
+  ...(category ? [`      <category>${escapeXML(category)}</category>`] : []),
+  ...(summary ? [`      <description>${escapeXML(summary)}</description>`] : []),
+  '    </item>',
+].join('\n');
+
+/**
+ * Lookup map of feed formats, keyed by filetype.
+ * Each format has a content type and a function building the feed document from a feed,
+ * see projectsFeed and projectFeed.
+ */
+const FEED_FORMATS = {
+  atom: {
+    contentType: 'application/atom+xml; charset=utf-8',
+    build: ({
+      id,
+      title,
+      self,
+      link,
+      updated,
+      entries,
+    }) => [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXML(id)}</id>`,
+      `  <title>${escapeXML(title)}</title>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXML(self)}"/>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXML(link)}"/>`,
+      `  <updated>${updated.toISOString()}</updated>`,
+      '  <author><name>NYC Department of City Planning</name></author>',
+      ...entries.map(atomEntry),
+      '</feed>',
+      '',
+    ].join('\n'),
+  },
+  rss: {
+    contentType: 'application/rss+xml; charset=utf-8',
+    build: ({
+      title,
+      self,
+      link,
+      updated,
+      entries,
+    }) => [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXML(title)}</title>`,
+      `    <link>${escapeXML(link)}</link>`,
+      `    <description>${escapeXML(title)}</description>`,
+      `    <atom:link rel="self" type="application/rss+xml" href="${escapeXML(self)}"/>`,
+      `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+      ...entries.map(rssItem),
+      '  </channel>',
+      '</rss>',
+      '',
+    ].join('\n'),
+  },
+};
+
+/**
+ * Builds a feed of projects, one entry per project dated by its latest milestone
+ * @param {Array} projects - rows of GET /projects, ordered by latest milestone
+ * @param {string} self - URL of the feed
+ * @returns {Object}
+ */
+const projectsFeed = (projects, self) => {
+  const dated = projects.map(project => ({ project, updated: toDate(project.lastmilestonedate) }));
+  const updated = latestDate(dated.filter(entry => entry.updated));
+
+  return {
+    id: self,
+    title: 'ZAP projects',
+    self,
+    link: ZAP_PROJECT_URL,
+    updated,
+    entries: dated.map(({ project, updated: projectUpdated }) => ({
+      id: `${process.env.HOST}/projects/${project.dcp_name}`,
+      title: project.dcp_projectname,
+      link: `${ZAP_PROJECT_URL}/${project.dcp_name}`,
+      // projects without a milestone date yet are dated with the feed
+      updated: projectUpdated || updated,
+      summary: project.dcp_projectbrief,
+      category: project.dcp_publicstatus_simp,
+    })),
+  };
+};
+
+/**
+ * Builds a feed of a project's milestones that have a display date, newest first
+ * @param {Object} project - from utils/get-project.js
+ * @param {string} self - URL of the feed
+ * @returns {Object}
+ */
+const projectFeed = (project, self) => {
+  const entries = (project.milestones || [])
+    .filter(milestone => milestone.display_date)
+    .map(milestone => ({
+      id: `${process.env.HOST}/milestones/${milestone.dcp_projectmilestoneid}`,
+      title: milestone.display_name || milestone.milestonename,
+      link: `${ZAP_PROJECT_URL}/${project.dcp_name}`,
+      updated: toDate(milestone.display_date),
+      summary: milestone.display_description,
+      category: milestone.statuscode,
+    }))
+    .sort((a, b) => b.updated - a.updated);
+
+  return {
+    id: `${process.env.HOST}/projects/${project.dcp_name}`,
+    title: project.dcp_projectname,
+    self,
+    link: `${ZAP_PROJECT_URL}/${project.dcp_name}`,
+    updated: latestDate(entries),
+    entries,
+  };
+};
+
+/**
+ * Sends a feed document. Express answers conditional GETs with a 304 when the request's
+ * If-None-Match matches the ETag of the document. There's no Last-Modified, since projects can
+ * leave a feed or change without a newer milestone, and milestones can be dated in the future
+ * @param {Object} res - express response
+ * @param {Object} format - a format in FEED_FORMATS
+ * @param {Object} feed
+ */
+const sendFeed = (res, format, feed) => {
+  const document = format.build(feed);
+
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('ETag', `"${crypto.createHash('sha1').update(document).digest('hex')}"`);
+  res.send(document);
+};
+
+module.exports = sendFeed;
+module.exports.FEED_FORMATS = FEED_FORMATS;
+module.exports.projectsFeed = projectsFeed;
+module.exports.projectFeed = projectFeed;
+module.exports.escapeXML = escapeXML;
@@ -0,0 +1,58 @@
+const getQueryFile = require('./get-query-file');
+const getVideoLinks = require('./get-video-links');
+const normalizeSupportDocs = require('./inject-supporting-document-urls');
+const NotFoundError = require('../errors/not-found');
+const { PUBLIC_ACTION_CODES } = require('./transform-actions');
+
+// import sql query templates
+const findProjectQuery = getQueryFile('/projects/show.sql');
+
+// milestones that are repeated when an application is revised
+const REVISABLE_MILESTONES = [
+  '663beec4-dad0-e711-8116-1458d04e2fb8', // "Land Use Application Filed"
+  '783beec4-dad0-e711-8116-1458d04e2fb8', // "Environmental Assessment Statement Filed"
+];
+
+/**
+ * Finds a project and assembles its full record: its BBL geometry as a FeatureCollection,
+ * supporting document links on its milestones, hearing video links, and whether each milestone is a revision.
+ * Used by GET /projects/:id and the single project exports.
+ * @param {Object} db - pg-promise database
+ * @param {string} id - project id (dcp_name)
+ * @returns {Promise} the project, rejects with a NotFoundError if there's no public project with the id
+ */
+const getProject = async (db, id) => {
+  const project = await db.oneOrNone(findProjectQuery, { id, actionCodes: PUBLIC_ACTION_CODES });
+
+  if (!project) {
+    throw new NotFoundError(`Project ${id} not found`);
+  }
+
+  project.bbl_featurecollection = {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: JSON.parse(project.bbl_multipolygon),
+    }],
+  };
+
+  await normalizeSupportDocs(project);
+  project.video_links = await getVideoLinks(project.dcp_name);
+
+  /**
+   * Memo for getting last ID in a sequence of milestones.
+   * Logic is extracted from FE. TODO: Refactor this.
+  */
+  let lastZapId = '';
+
+  (project.milestones || []).forEach((milestone) => {
+    milestone.isRevised = milestone.dcp_milestone === lastZapId
+      && REVISABLE_MILESTONES.includes(milestone.dcp_milestone);
+
+    lastZapId = milestone.dcp_milestone;
+  });
+
+  return project;
+};
+
+module.exports = getProject;
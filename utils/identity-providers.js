@@ -0,0 +1,152 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const jwkToPem = require('jwk-to-pem');
+const UnauthError = require('../errors/unauth');
+
+// seconds a local development login lasts
+const LOCAL_LOGIN_TTL = 8 * 3600;
+
+// the least seconds between refetches of an OIDC provider's signing keys, when a token is signed with an unknown key
+const JWKS_REFETCH_INTERVAL = 60;
+
+// caches an OIDC provider's signing keys as PEMs keyed by kid, refetching them when a token has an unknown kid
+const jwksCache = ({ issuer, jwksUrl }) => {
+  let keys = {};
+  let fetchedAt = 0;
+
+  const fetchKeys = async () => {
+    const jwksUri = jwksUrl || (await fetch(`${issuer}/.well-known/openid-configuration`)
+      .then(res => res.json())).jwks_uri;
+    const { keys: jwks = [] } = await fetch(jwksUri).then(res => res.json());
+
+    keys = jwks
+      .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .reduce((pems, jwk) => ({ ...pems, [jwk.kid]: jwkToPem(jwk) }), {});
+    fetchedAt = Date.now();
+  };
+
+  return async (kid) => {
+    if (!keys[kid] && Date.now() - fetchedAt > JWKS_REFETCH_INTERVAL * 1000) await fetchKeys();
+
+    return keys[kid];
+  };
+};
+
+/**
+ * Lookup map of identity providers, keyed by the IDENTITY_PROVIDER name.
+ * Each creates an object with a verify function, which resolves the access token that /login is
+ * called with to the login's `email`, `expiresOn` unix timestamp and optionally the `contactIds` it
+ * acts as, or rejects with an UnauthError.
+ */
+const IDENTITY_PROVIDERS = {
+  // HS256 tokens signed by NYCID with the console password, with the login's email in their `mail` claim
+  nycid: ({ secret }) => ({
+    async verify(token) {
+      try {
+        const { mail, exp } = jwt.verify(token, secret);
+
+        return { email: mail, expiresOn: exp };
+      } catch (e) {
+        throw new UnauthError(`Invalid NYCID token: ${e.message}`);
+      }
+    },
+  }),
+
+  // RS256 id tokens of an OpenID Connect provider, verified with the keys of its JWKS.
+  // Only tokens for the audience, with a verified email, are accepted
+  oidc: ({
+    issuer,
+    audience,
+    jwksUrl,
+    emailClaim = 'email',
+  }) => {
+    // without an audience, id tokens the provider issued to any of its clients would be accepted
+    if (!issuer || !audience) {
+      throw new Error('The oidc identity provider needs an issuer and audience, see OIDC_ISSUER and OIDC_AUDIENCE');
+    }
+
+    const signingKey = jwksCache({ issuer, jwksUrl });
+
+    return {
+      async verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+
+        if (!decoded) throw new UnauthError('Invalid OIDC token: jwt malformed');
+
+        const key = await signingKey(decoded.header.kid);
+
+        if (!key) throw new UnauthError(`Invalid OIDC token: unknown signing key ${decoded.header.kid}`);
+
+        let claims;
+        try {
+          claims = jwt.verify(token, key, { algorithms: ['RS256'], issuer, audience });
+        } catch (e) {
+          throw new UnauthError(`Invalid OIDC token: ${e.message}`);
+        }
+
+        if (!claims[emailClaim]) throw new UnauthError(`Invalid OIDC token: no ${emailClaim} claim`);
+
+        // logins are matched to CRM contacts by email, so the provider must have verified it
+        if (claims.email_verified !== true) throw new UnauthError('Invalid OIDC token: email isn\'t verified');
+
+        return { email: claims[emailClaim], expiresOn: claims.exp };
+      },
+    };
+  },
+
+  // fixture users for local development and tests, logged in with their key as the access token.
+  // Anyone can log in as them, so they must be enabled explicitly
+  local: ({ enabled, usersFile }) => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The local identity provider can\'t be used in production');
+    }
+
+    if (!enabled) {
+      throw new Error('The local identity provider must be enabled, see LOCAL_IDENTITY_PROVIDER_ENABLED');
+    }
+
+    if (!usersFile) {
+      throw new Error('The local identity provider needs a file of fixture users, see LOCAL_IDENTITY_USERS');
+    }
+
+    const users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+
+    return {
+      async verify(token) {
+        const user = users[token];
+
+        if (!user) throw new UnauthError(`Invalid local token: no fixture user ${token}`);
+
+        return {
+          email: user.email,
+          expiresOn: Math.floor(Date.now() / 1000) + LOCAL_LOGIN_TTL,
+          contactIds: user.contactIds,
+        };
+      },
+    };
+  },
+};
+
+/**
+ * Creates the identity provider that /login verifies access tokens with
+ * @param {Object} options
+ * @param {string} options.type - a provider in IDENTITY_PROVIDERS, nycid (default), oidc or local
+ * @param {string} options.secret - NYCID console password
+ * @param {string} options.issuer - OIDC issuer, whose discovery document lists its JWKS
+ * @param {string} options.audience - OIDC client id that id tokens are issued for
+ * @param {string} options.jwksUrl - OIDC JWKS URL, instead of the one in the discovery document
+ * @param {string} options.emailClaim - OIDC claim with the login's email, defaults to email
+ * @param {boolean} options.enabled - whether the local provider may be used
+ * @param {string} options.usersFile - JSON file of local fixture users
+ * @returns {Object}
+ */
+const createIdentityProvider = ({ type = 'nycid', ...options } = {}) => {
+  if (!IDENTITY_PROVIDERS[type]) {
+    throw new Error(`Unknown identity provider ${type}, must be one of ${Object.keys(IDENTITY_PROVIDERS).join(', ')}`);
+  }
+
+  return IDENTITY_PROVIDERS[type](options);
+};
+
+module.exports = createIdentityProvider;
@@ -0,0 +1,282 @@
+const camelcase = require('camelcase');
+const BadRequestError = require('../errors/bad-request');
+
+// related records' attribute names drop the dcp_ prefix and are camelCased, e.g. dcp_ulurpnumber becomes ulurpnumber
+const camelizeAttributes = record => Object.keys(record)
+  .reduce((attributes, key) => ({
+    ...attributes,
+    [camelcase(key.replace('dcp_', ''))]: record[key],
+  }), {});
+
+// links a record back to its project
+const projectRelationship = {
+  type: 'projects',
+  id: record => record.projectid,
+  related: id => `${process.env.HOST}/projects/${id}`,
+};
+
+/**
+ * Lookup map of resource definitions, keyed by JSON:API type.
+ * Each resource has an id function returning a stable id from the record's own key, and optionally
+ * an attributes function (records are used as attributes by default) and relationships.
+ * A relationship either reads its related records from a `key` of the record, which is left out of
+ * the attributes and can be included, or only reads a related `id` and can't be included.
+ * Relationships to a related id can have a `related` link to the related resource.
+ */
+const RESOURCES = {
+  projects: {
+    id: project => project.dcp_name,
+    relationships: {
+      actions: { type: 'actions', key: 'actions' },
+      milestones: { type: 'milestones', key: 'milestones' },
+      dispositions: { type: 'dispositions', key: 'lup_dispositions' },
+    },
+  },
+  actions: {
+    id: action => action.dcp_projectactionid,
+    attributes: camelizeAttributes,
+    relationships: { project: projectRelationship },
+  },
+  milestones: {
+    id: milestone => milestone.dcp_projectmilestoneid,
+    attributes: camelizeAttributes,
+    relationships: { project: projectRelationship },
+  },
+  dispositions: {
+    id: disposition => disposition.dcp_communityboarddispositionid,
+    attributes: camelizeAttributes,
+    relationships: {
+      project: projectRelationship,
+      action: {
+        type: 'actions',
+        id: disposition => disposition.dcp_projectaction,
+        related: id => `${process.env.HOST}/actions/${id}`,
+      },
+    },
+  },
+  changes: {
+    id: change => change.id,
+    relationships: { project: projectRelationship },
+  },
+  facets: {
+    id: facet => facet.facet,
+    attributes: ({ counts }) => ({ counts }),
+  },
+  'saved-searches': {
+    id: savedSearch => savedSearch.id,
+    attributes: ({ id, contact_id: contactId, ...attributes }) => attributes,
+  },
+  users: {
+    id: user => user.contactid,
+    relationships: {
+      'user-project-participant-types': { type: 'user-project-participant-types', key: 'participant_types' },
+    },
+  },
+  'user-dashboards': {
+    id: dashboard => dashboard.contactid,
+    relationships: {
+      assignments: { type: 'lup-assignments', key: 'assignments' },
+    },
+  },
+  // a LUP contact's review of a project, identified by the review's milestone
+  'lup-assignments': {
+    id: assignment => assignment.milestone_id,
+    relationships: {
+      project: {
+        type: 'projects',
+        id: assignment => assignment.dcp_name,
+        related: id => `${process.env.HOST}/projects/${id}`,
+      },
+    },
+  },
+  'user-project-participant-types': {
+    id: participant => participant.dcp_projectlupteamid,
+    attributes: participant => ({ participantType: participant.dcp_lupteammemberrole }),
+    relationships: {
+      project: { type: 'projects', id: participant => participant.dcp_project },
+    },
+  },
+};
+
+// parses an `include` param, e.g. `actions,dispositions.action`, into a tree of relationship names
+const parseInclude = (include = '') => `${include}`.split(',')
+  .filter(Boolean)
+  .reduce((tree, path) => {
+    path.split('.').reduce((node, name) => {
+      node[name] = node[name] || {};
+      return node[name];
+    }, tree);
+
+    return tree;
+  }, {});
+
+// parses `fields[type]` params into lists of field names keyed by type
+const parseFields = (fields = {}) => {
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new BadRequestError('Invalid fields, must be keyed by type, e.g. fields[projects]=dcp_projectname');
+  }
+
+  return Object.keys(fields).reduce((parsed, type) => ({
+    ...parsed,
+    [type]: `${fields[type]}`.split(',').filter(Boolean),
+  }), {});
+};
+
+// only relationships with related records can be included
+const validateInclude = (type, tree, path = []) => Object.keys(tree).forEach((name) => {
+  const { relationships = {} } = RESOURCES[type];
+  const relationship = relationships[name];
+  const includePath = [...path, name];
+
+  if (!relationship || !relationship.key) {
+    const includable = Object.keys(relationships).filter(relationshipName => relationships[relationshipName].key);
+
+    throw new BadRequestError(`Invalid include ${includePath.join('.')}, ${type} can include ${includable.join(', ') || 'nothing'}`);
+  }
+
+  validateInclude(relationship.type, tree[name], includePath);
+});
+
+const identifier = (type, record) => ({ type, id: `${RESOURCES[type].id(record)}` });
+
+// serializes one record as a resource object, with only the requested fields if it has a sparse fieldset
+const resourceObject = (type, record, fields) => {
+  const { attributes = attrs => attrs, relationships = {} } = RESOURCES[type];
+  const fieldset = fields[type];
+  const hasField = field => !fieldset || fieldset.includes(field);
+  const relationshipKeys = Object.keys(relationships).map(name => relationships[name].key);
+
+  const ownAttributes = attributes(Object.keys(record)
+    .filter(key => !relationshipKeys.includes(key))
+    .reduce((attrs, key) => ({ ...attrs, [key]: record[key] }), {}));
+
+  const resource = {
+    ...identifier(type, record),
+    attributes: Object.keys(ownAttributes)
+      .filter(hasField)
+      .reduce((attrs, key) => ({ ...attrs, [key]: ownAttributes[key] }), {}),
+  };
+
+  const relationshipNames = Object.keys(relationships)
+    .filter(name => hasField(name) && (!relationships[name].key || relationships[name].key in record));
+
+  if (relationshipNames.length) {
+    resource.relationships = relationshipNames.reduce((related, name) => {
+      const {
+        type: relatedType,
+        key,
+        id,
+        related: relatedLink,
+      } = relationships[name];
+      const relatedId = key ? null : id(record);
+
+      return {
+        ...related,
+        [name]: {
+          ...(relatedId && relatedLink ? { links: { related: relatedLink(relatedId) } } : {}),
+          data: key
+            ? (record[key] || []).map(relatedRecord => identifier(relatedType, relatedRecord))
+            : (relatedId && { type: relatedType, id: `${relatedId}` }) || null,
+        },
+      };
+    }, {});
+  }
+
+  return resource;
+};
+
+// collects the included resources of records, keyed by type and id so each is included once
+const collectIncluded = (type, records, tree, fields, included = {}) => {
+  Object.keys(tree).forEach((name) => {
+    const { type: relatedType, key } = RESOURCES[type].relationships[name];
+    const relatedRecords = records.reduce((all, record) => [...all, ...(record[key] || [])], []);
+
+    relatedRecords.forEach((relatedRecord) => {
+      const { id } = identifier(relatedType, relatedRecord);
+      included[`${relatedType}/${id}`] = resourceObject(relatedType, relatedRecord, fields);
+    });
+
+    collectIncluded(relatedType, relatedRecords, tree[name], fields, included);
+  });
+
+  return included;
+};
+
+/**
+ * Serializes records as a JSON:API document, with ids from each record's own key
+ * @param {string} type - a resource type in RESOURCES
+ * @param {Object|Array} data - a record, or a list of records
+ * @param {Object} options
+ * @param {string} options.include - comma-separated relationship paths of related resources to include, e.g. `actions,dispositions`
+ * @param {Object} options.fields - sparse fieldsets, comma-separated field names keyed by type, from `fields[type]=` params
+ * @param {Object} options.links - top-level links
+ * @param {Object} options.meta - top-level meta
+ * @returns {Object}
+ */
+const serialize = (type, data, {
+  include,
+  fields,
+  links,
+  meta,
+} = {}) => {
+  const tree = parseInclude(include);
+  const fieldsets = parseFields(fields);
+  const records = Array.isArray(data) ? data : [data];
+
+  validateInclude(type, tree);
+
+  const resources = records.map(record => resourceObject(type, record, fieldsets));
+  const included = collectIncluded(type, records, tree, fieldsets);
+
+  return {
+    data: Array.isArray(data) ? resources : resources[0],
+    ...(include !== undefined ? { included: Object.keys(included).map(key => included[key]) } : {}),
+    ...(links ? { links } : {}),
+    ...(meta ? { meta } : {}),
+  };
+};
+
+/**
+ * Serializes an error as a JSON:API error document. BadRequestErrors keep their status, code and message,
+ * any other error is a 500 with a generic detail so internal messages aren't exposed
+ * @param {Error} error
+ * @param {string} detail - detail of unexpected errors
+ * @returns {Object}
+ */
+const serializeError = (error, detail = 'Internal server error') => {
+  if (error instanceof BadRequestError) {
+    return {
+      errors: [{
+        status: `${error.status}`,
+        ...(error.errorCode ? { code: error.errorCode } : {}),
+        detail: error.message,
+      }],
+    };
+  }
+
+  return {
+    errors: [{ status: '500', detail }],
+  };
+};
+
+// responds with a JSON:API error document, logging unexpected errors
+const sendError = (res, error, detail) => {
+  if (!(error instanceof BadRequestError)) console.log(detail, error); // eslint-disable-line
+
+  const document = serializeError(error, detail);
+  res.status(parseInt(document.errors[0].status)).send(document);
+};
+
+// builds a JSON:API pagination link to another page, keeping the request's other query params
+const pageLink = (req, page) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('page', page);
+
+  return `${process.env.HOST}${url.pathname}${url.search}`;
+};
+
+module.exports = serialize;
+module.exports.RESOURCES = RESOURCES;
+module.exports.serializeError = serializeError;
+module.exports.sendError = sendError;
+module.exports.pageLink = pageLink;
@@ -0,0 +1,90 @@
+const pgp = require('pg-promise');
+const getQueryFile = require('./get-query-file');
+const BadRequestError = require('../errors/bad-request');
+
+// import sql query templates
+const assignmentsQuery = getQueryFile('/projects/lup-assignments.sql');
+const userProjectsQuery = getQueryFile('/projects/lup-projects.sql');
+const dashboardQuery = getQueryFile('/projects/lup-dashboard.sql');
+
+// the LUP dashboard tabs, see queries/projects/lup-assignments.sql
+const LUP_TABS = ['to-review', 'upcoming', 'reviewed', 'archive'];
+
+// reviews in progress are due soon this many days before their deadline
+const DUE_SOON_DAYS = 7;
+
+/**
+ * Lookup map of the sorts of a LUP dashboard tab, keyed by the `sort` query param.
+ * Each has the SQL expression assignments are sorted by.
+ */
+const LUP_SORTS = {
+  deadline: 'lup.review_deadline',
+};
+
+const formatAssignmentsQuery = contactId => pgp.as.format(assignmentsQuery, {
+  id: contactId,
+  dueSoonDays: DUE_SOON_DAYS,
+});
+
+// parses a `sort` param (`-` prefix for descending) into an ORDER BY clause, nulls last
+const buildLupSort = (sort) => {
+  if (!sort) return '';
+
+  const name = sort.replace(/^-/, '');
+
+  if (!LUP_SORTS[name]) {
+    throw new BadRequestError(`Invalid sort ${name}, LUP dashboard tabs can be sorted by ${Object.keys(LUP_SORTS).join(', ')}`);
+  }
+
+  return `ORDER BY ${LUP_SORTS[name]} ${sort.startsWith('-') ? 'DESC' : 'ASC'} NULLS LAST, lup.project_id`;
+};
+
+/**
+ * Builds the SQL for the projects on one of a LUP contact's dashboard tabs
+ * @param {string} contactId
+ * @param {string} status - a tab in LUP_TABS
+ * @param {string} sort - a sort in LUP_SORTS, e.g. `deadline` or `-deadline`
+ * @returns {string}
+ */
+const buildLupProjectsSQL = (contactId, status, sort) => {
+  if (!LUP_TABS.includes(status)) {
+    throw new BadRequestError(`Invalid project_lup_status, must be one of ${[...LUP_TABS].sort().join(', ')}`);
+  }
+
+  return pgp.as.format(userProjectsQuery, {
+    assignmentsQuery: formatAssignmentsQuery(contactId),
+    id: contactId,
+    status,
+    orderBy: buildLupSort(sort),
+  });
+};
+
+/**
+ * Builds the SQL for all of a LUP contact's assignments, soonest deadline first
+ * @param {string} contactId
+ * @returns {string}
+ */
+const buildDashboardSQL = contactId => pgp.as.format(dashboardQuery, {
+  assignmentsQuery: formatAssignmentsQuery(contactId),
+});
+
+/**
+ * Summarizes a LUP contact's assignments for their dashboard
+ * @param {Array} assignments - rows of queries/projects/lup-dashboard.sql
+ * @returns {Object} the number of assignments on each tab, and of reviews that are overdue or due soon
+ */
+const summarizeDashboard = assignments => ({
+  counts: LUP_TABS.reduce((counts, tab) => ({
+    ...counts,
+    [tab]: assignments.filter(({ dashboard_tab: dashboardTab }) => dashboardTab === tab).length,
+  }), {}),
+  overdue: assignments.filter(({ is_overdue: isOverdue }) => isOverdue).length,
+  due_soon: assignments.filter(({ is_due_soon: isDueSoon }) => isDueSoon).length,
+});
+
+module.exports = buildLupProjectsSQL;
+module.exports.LUP_TABS = LUP_TABS;
+module.exports.LUP_SORTS = LUP_SORTS;
+module.exports.DUE_SOON_DAYS = DUE_SOON_DAYS;
+module.exports.buildDashboardSQL = buildDashboardSQL;
+module.exports.summarizeDashboard = summarizeDashboard;
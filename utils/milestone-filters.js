@@ -0,0 +1,112 @@
+const pgp = require('pg-promise');
+const moment = require('moment');
+const BadRequestError = require('../errors/bad-request');
+
+/**
+ * Lookup map of milestones projects can be filtered by, keyed by the display names in queries/projects/show.sql.
+ * Each milestone has the dcp_milestone id and the date it's displayed with. Milestones displayed
+ * as a date range run from that date to the actual (or planned) end date.
+ */
+const MILESTONES = {
+  'Borough Board Review': { id: '963beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'Borough President Review': { id: '943beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'CEQR Fee Paid': { id: '763beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'City Council Review': { id: 'a63beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'Community Board Review': { id: '923beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'City Planning Commission Review': { id: '9e3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'City Planning Commission Vote': { id: 'a43beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Draft Environmental Impact Statement Public Hearing': { id: '863beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Draft Scope of Work for Environmental Impact Statement Received': { id: '7c3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate' },
+  'Environmental Impact Statement Public Scoping Meeting': { id: '7e3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Final Environmental Impact Statement Submitted': { id: '883beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate' },
+  'Environmental Assessment Statement Filed': { id: '783beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate' },
+  'Approval Letter Sent to Responsible Agency': { id: 'aa3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Final Scope of Work for Environmental Impact Statement Issued': { id: '823beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Land Use Application Filed': { id: '663beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Land Use Fee Paid': { id: '6a3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Mayoral Review': { id: 'a83beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualstartdate', range: true },
+  'Draft Environmental Impact Statement Completed': { id: '843beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Application Reviewed at City Planning Commission Review Session': { id: '8e3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'CPC Review of Council Modification': { id: '780593bb-ecc2-e811-8156-1458d04d0698', date: 'dcp_actualenddate' },
+  'DEIS Scope of Work Released': { id: '483beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+  'Scoping Meeting': { id: '4a3beec4-dad0-e711-8116-1458d04e2fb8', date: 'dcp_actualenddate' },
+};
+
+const MILESTONE_STATUSES = ['Not Started', 'In Progress', 'Completed'];
+
+/**
+ * Parses a milestone date param into unix epoch seconds
+ * @param {string} value - ISO 8601 date or datetime, or unix epoch seconds
+ * @param {boolean} endOfDay - whether a date without a time means the end of that day
+ * @returns {number}
+ */
+const parseMilestoneDate = (value, endOfDay = false) => {
+  if (/^-?\d+$/.test(value)) return parseInt(value);
+
+  const date = moment.utc(value, moment.ISO_8601, true);
+
+  if (!date.isValid()) {
+    throw new BadRequestError(`Invalid milestone date ${value}, must be an ISO 8601 date or unix timestamp`);
+  }
+
+  // a date-only `to` includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.endOf('day');
+
+  return date.unix();
+};
+
+/**
+ * Builds a WHERE clause fragment for the `milestones` filter, e.g.
+ * `milestones[City Planning Commission Vote][from]=2019-01-01&milestones[City Planning Commission Vote][to]=2019-03-31`.
+ * Each milestone can have a `from` and `to` date and a `status`, and projects must match every milestone.
+ * Date ranges match milestones that happened in the range, or for review periods, were in progress during it.
+ * @param {Object} milestones - the parsed `milestones` query param, keyed by milestone display name
+ * @returns {string}
+ */
+const buildMilestoneFilters = (milestones = {}) => {
+  if (typeof milestones !== 'object' || Array.isArray(milestones)) {
+    throw new BadRequestError('Invalid milestones filter, must be keyed by milestone name');
+  }
+
+  return Object.keys(milestones).map((name) => {
+    const milestone = MILESTONES[name];
+    const params = milestones[name];
+
+    if (!milestone) {
+      throw new BadRequestError(`Invalid milestone ${name}, must be one of ${Object.keys(MILESTONES).join(', ')}`);
+    }
+
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      throw new BadRequestError(`Invalid milestones filter for ${name}, must have from, to or status`);
+    }
+
+    const invalidParams = Object.keys(params).filter(param => !['from', 'to', 'status'].includes(param));
+
+    if (invalidParams.length) {
+      throw new BadRequestError(`Invalid milestones filter ${invalidParams.join(', ')} for ${name}, must be from, to or status`);
+    }
+
+    const { from, to, status } = params;
+    const statuses = [].concat(status || []);
+    const invalidStatuses = statuses.filter(value => !MILESTONE_STATUSES.includes(value));
+
+    if (invalidStatuses.length) {
+      throw new BadRequestError(`Invalid milestone status ${invalidStatuses.join(', ')}, must be one of ${MILESTONE_STATUSES.join(', ')}`);
+    }
+
+    // review periods run until they end, or are planned to end
+    const endDate = milestone.range ? `COALESCE(mm.dcp_actualenddate, mm.dcp_plannedcompletiondate, mm.${milestone.date})` : `mm.${milestone.date}`;
+
+    const conditions = [
+      from ? pgp.as.format(`AND ${endDate} >= to_timestamp($1)`, [parseMilestoneDate(from)]) : '',
+      to ? pgp.as.format(`AND mm.${milestone.date} <= to_timestamp($1)`, [parseMilestoneDate(to, true)]) : '',
+      statuses[0] ? pgp.as.format('AND mm.statuscode IN ($1:csv)', [statuses]) : '',
+    ].filter(Boolean).join(' ');
+
+    return pgp.as.format(`AND EXISTS (SELECT 1 FROM dcp_projectmilestone mm WHERE mm.dcp_project = p.dcp_projectid AND mm.statuscode <> 'Overridden' AND mm.dcp_milestone = $1 ${conditions})`, [milestone.id]);
+  }).join('\n  ');
+};
+
+module.exports = buildMilestoneFilters;
+module.exports.MILESTONES = MILESTONES;
+module.exports.parseMilestoneDate = parseMilestoneDate;
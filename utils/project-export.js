@@ -0,0 +1,91 @@
+const { parse: json2csv } = require('json2csv');
+
+// the related entities of a project, exported as their own CSV files, keyed by filename
+const RELATED_ENTITIES = {
+  actions: project => project.actions,
+  milestones: project => project.milestones,
+  dispositions: project => project.lup_dispositions,
+  applicants: project => project.applicantteam,
+  addresses: project => project.addresses,
+  bbls: project => (project.bbls || []).map(bbl => ({ bbl })),
+  videos: project => project.video_links,
+};
+
+// geometry is exported as GeoJSON, not as strings or a nested FeatureCollection
+const GEOMETRY_COLUMNS = ['bbl_multipolygon', 'bbl_featurecollection'];
+
+// CSV cells hold lists as ;-separated values, and anything else nested as JSON
+const toCSVValue = (value) => {
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) return value.join(';');
+  if (Array.isArray(value) && value.every(item => item && item.url)) return value.map(({ url }) => url).join(';');
+  if (value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+
+  return value;
+};
+
+const toCSVRow = row => Object.keys(row)
+  .reduce((values, key) => ({ ...values, [key]: toCSVValue(row[key]) }), {});
+
+/**
+ * Builds a project's exported record, without its geometry columns
+ * @param {Object} project - from utils/get-project.js
+ * @returns {Object}
+ */
+const projectRecord = project => Object.keys(project)
+  .filter(key => !GEOMETRY_COLUMNS.includes(key))
+  .reduce((record, key) => ({ ...record, [key]: project[key] }), {});
+
+const projectGeometry = ({ bbl_multipolygon }) => (bbl_multipolygon ? JSON.parse(bbl_multipolygon) : null);
+
+/**
+ * Lookup map of single project export formats, keyed by the format in /projects/:id.:format.
+ * Each format has a content type, a file extension and a function building the file body from a project.
+ */
+const PROJECT_EXPORTS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    build: project => JSON.stringify({
+      ...projectRecord(project),
+      geometry: projectGeometry(project),
+    }),
+  },
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    build: project => JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        id: project.dcp_name,
+        geometry: projectGeometry(project),
+        properties: projectRecord(project),
+      }],
+    }),
+  },
+  // a zip of CSVs, one for the project and one for each kind of related entity
+  csv: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    files: (project) => {
+      const record = projectRecord(project);
+      const relatedKeys = ['actions', 'milestones', 'lup_dispositions', 'applicantteam', 'addresses', 'video_links'];
+      const projectRow = Object.keys(record)
+        .filter(key => !relatedKeys.includes(key))
+        .reduce((row, key) => ({ ...row, [key]: record[key] }), {});
+
+      return [
+        { name: 'project.csv', rows: [projectRow] },
+        ...Object.keys(RELATED_ENTITIES).map(entity => ({
+          name: `${entity}.csv`,
+          rows: RELATED_ENTITIES[entity](project) || [],
+        })),
+      ]
+        .filter(({ rows }) => rows.length)
+        .map(({ name, rows }) => ({ name, body: json2csv(rows.map(toCSVRow)) }));
+    },
+  },
+};
+
+module.exports = PROJECT_EXPORTS;
+module.exports.projectRecord = projectRecord;
@@ -0,0 +1,156 @@
+const pgp = require('pg-promise');
+const buildSearchQuery = require('./build-search-query');
+const BadRequestError = require('../errors/bad-request');
+
+// orders projects in public review first, matching the original GET /projects ordering
+const PUBLIC_STATUS_RANK = `
+  CASE WHEN dcp_publicstatus_simp = 'In Public Review' then 1
+    WHEN dcp_publicstatus_simp = 'Filed' then 2
+    WHEN dcp_publicstatus_simp = 'Completed' then 3
+    ELSE 4
+  END
+`;
+
+/**
+ * Lookup map of sortable project fields, keyed by the `sort` query param.
+ * Each sort has a SQL expression, and a non-null value of the same type that stands in for
+ * nulls so the sort keys can be compared as a row in keyset (cursor) pagination.
+ */
+const SORTS = {
+  lastmilestonedate: {
+    expression: () => 'lastmilestonedate',
+    nullValue: "'-infinity'",
+    // ties are broken by public status, in public review first when sorting descending
+    tiebreakers: direction => [direction === 'desc' ? `-(${PUBLIC_STATUS_RANK})` : `(${PUBLIC_STATUS_RANK})`],
+  },
+  dcp_projectname: {
+    expression: () => 'lower(p.dcp_projectname)',
+    nullValue: "''",
+  },
+  dcp_certifiedreferred: {
+    expression: () => 'dcp_certifiedreferred',
+    nullValue: "'-infinity'",
+  },
+  distance: {
+    expression: ({ distance_from_point }) => pgp.as.format('ST_Distance(ST_MakePoint($1,$2)::geography, c.polygons::geography)', distance_from_point),
+    nullValue: '0',
+    requires: 'distance_from_point',
+  },
+  relevance: {
+    expression: ({ project_applicant_text }) => pgp.as.format("ts_rank(p.search_vector, to_tsquery('english', $1))", [buildSearchQuery(project_applicant_text)]),
+    nullValue: '0',
+    requires: 'project_applicant_text',
+    // most relevant first, with or without the - prefix
+    direction: 'desc',
+  },
+};
+
+const DEFAULT_SORT = '-lastmilestonedate';
+
+/**
+ * Parses a JSON:API style `sort` param (`-` prefix for descending) into the
+ * ordered list of SQL expressions projects are sorted by. Every sort ends with
+ * dcp_name, so the order is stable and can be used as a keyset cursor.
+ * @param {string} sort - e.g. '-lastmilestonedate' or 'dcp_projectname'
+ * @param {Object} params - the filter params some sorts depend on:
+ *  distance_from_point ([lng, lat]) to sort by distance, project_applicant_text to sort by relevance
+ * @returns {Object} the sort name, direction, and key expressions
+ */
+const parseSort = (sort = DEFAULT_SORT, params = {}) => {
+  const name = sort.replace(/^-/, '');
+  const definition = SORTS[name];
+
+  if (!definition) {
+    throw new BadRequestError(`Invalid sort ${name}, must be one of ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const direction = definition.direction || (sort.startsWith('-') ? 'desc' : 'asc');
+  const required = params[definition.requires];
+
+  if (definition.requires && (!required || !required[0])) {
+    throw new BadRequestError(`Sorting by ${name} requires ${definition.requires}`);
+  }
+
+  const expression = definition.expression(params);
+  const { tiebreakers = () => [] } = definition;
+
+  // nulls always sort last
+  const keys = [
+    direction === 'desc' ? `(${expression} IS NOT NULL)` : `(${expression} IS NULL)`,
+    `COALESCE(${expression}, ${definition.nullValue})`,
+    ...tiebreakers(direction),
+    'p.dcp_name',
+  ];
+
+  return {
+    sort: `${direction === 'desc' ? '-' : ''}${name}`,
+    direction,
+    keys,
+  };
+};
+
+// cursors are url-safe base64 encoded JSON
+const encodeCursor = cursor => Buffer.from(JSON.stringify(cursor))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const decodeCursor = (cursor) => {
+  try {
+    const json = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString();
+    const decoded = JSON.parse(json);
+
+    if (!['next', 'prev'].includes(decoded.d) || !Array.isArray(decoded.v)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return decoded;
+  } catch (e) {
+    throw new BadRequestError('Invalid cursor');
+  }
+};
+
+/**
+ * Builds the ORDER BY clause, cursor columns and keyset condition for a projects query
+ * @param {Object} query - request query params
+ * @returns {Object}
+ */
+const buildSortQuery = ({
+  sort,
+  cursor,
+  distance_from_point = [],
+  project_applicant_text = '',
+}) => {
+  const { sort: normalizedSort, direction, keys } = parseSort(sort, { distance_from_point, project_applicant_text });
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  let orderDirection = direction;
+  let cursorQuery = '';
+
+  if (decodedCursor) {
+    if (decodedCursor.s !== normalizedSort || decodedCursor.v.length !== keys.length) {
+      throw new BadRequestError('Cursor does not match the requested sort');
+    }
+
+    // paging backwards reads rows in reverse order; they are put back in order after the query
+    if (decodedCursor.d === 'prev') {
+      orderDirection = direction === 'desc' ? 'asc' : 'desc';
+    }
+
+    const operator = orderDirection === 'desc' ? '<' : '>';
+    cursorQuery = pgp.as.format(`AND (${keys.join(', ')}) ${operator} ($1:csv)`, [decodedCursor.v]);
+  }
+
+  // keys are read as text, which keeps every digit of float keys with extra_float_digits set, see app.js
+  return {
+    sort: normalizedSort,
+    cursor: decodedCursor,
+    orderBy: keys.map(key => `${key} ${orderDirection.toUpperCase()}`).join(', '),
+    cursorColumns: `, ARRAY[${keys.map(key => `(${key})::text`).join(', ')}] AS cursor_values`,
+    cursorQuery,
+  };
+};
+
+module.exports = buildSortQuery;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
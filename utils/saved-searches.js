@@ -0,0 +1,116 @@
+const pgp = require('pg-promise');
+const getQueryFile = require('./get-query-file');
+const buildProjectsSQL = require('./build-projects-sql');
+const BadRequestError = require('../errors/bad-request');
+
+// import sql query templates
+const alertingSearchesQuery = getQueryFile('/saved-searches/alerting.sql');
+const currentResultsQuery = getQueryFile('/saved-searches/current-results.sql');
+const diffResultsQuery = getQueryFile('/saved-searches/diff-results.sql');
+const updateResultsQuery = getQueryFile('/saved-searches/update-results.sql');
+
+// params of GET /projects that page, sort or shape results rather than filter them
+const NON_FILTER_PARAMS = [
+  'page',
+  'itemsPerPage',
+  'cursor',
+  'sort',
+  'include',
+  'fields',
+  'project_lup_status',
+];
+
+// every project a saved search's filters match, without pagination
+const buildSearchProjectsSQL = query => buildProjectsSQL({ query, session: {} }, 'csv_download');
+
+/**
+ * Validates the attributes of a saved search, keeping only the filter params of its query
+ * @param {Object} attributes - `name`, `query` filter params of GET /projects, and `alerts_enabled`
+ * @param {Object} current - the saved search being updated, whose attributes are kept unless they're given
+ * @returns {Object} the search's name, query and alertsEnabled
+ */
+const validateSavedSearch = (attributes = {}, current = {}) => {
+  const {
+    name = current.name,
+    query = current.query,
+    alerts_enabled: alertsEnabled = current.alerts_enabled === undefined ? true : current.alerts_enabled,
+  } = attributes;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new BadRequestError('Invalid name, a saved search needs a name');
+  }
+
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new BadRequestError('Invalid query, must be an object of GET /projects filter params');
+  }
+
+  if (typeof alertsEnabled !== 'boolean') {
+    throw new BadRequestError('Invalid alerts_enabled, must be true or false');
+  }
+
+  const filters = Object.keys(query)
+    .filter(param => !NON_FILTER_PARAMS.includes(param))
+    .reduce((params, param) => ({ ...params, [param]: query[param] }), {});
+
+  // throws a BadRequestError for invalid filters, the same as GET /projects would
+  buildSearchProjectsSQL(filters);
+
+  return { name: name.trim(), query: filters, alertsEnabled };
+};
+
+// sends a digest of the projects a search matches that are new or changed since its last run,
+// then keeps its current results. The first run only keeps results, so existing matches aren't sent
+const alertSavedSearch = (db, transport, search) => db.tx(async (t) => {
+  const currentResults = pgp.as.format(currentResultsQuery, {
+    projectsQuery: buildSearchProjectsSQL(search.query),
+  });
+  let sent = false;
+
+  if (search.last_run_at) {
+    const projects = await t.any(diffResultsQuery, { id: search.id, currentResults });
+
+    if (projects.length) {
+      await transport.send({
+        search: { id: search.id, name: search.name, query: search.query },
+        email: search.email,
+        projects: projects.map(({ fingerprint, ...project }) => ({
+          ...project,
+          url: `${process.env.HOST}/projects/${project.project_id}`,
+        })),
+      });
+      sent = true;
+    }
+  }
+
+  await t.none(updateResultsQuery, { id: search.id, currentResults });
+
+  return sent;
+});
+
+/**
+ * Sends alerts for every saved search with alerts enabled, one search at a time.
+ * A search whose alert can't be sent keeps its last results, so it's retried on the next run
+ * @param {Object} db - pg-promise database
+ * @param {Object} transport - an alert transport, see alert-transports.js
+ * @returns {Promise<Object>} counts of the searches run, alerts sent and searches that failed
+ */
+const sendSavedSearchAlerts = async (db, transport) => {
+  const searches = await db.any(alertingSearchesQuery);
+  const counts = { searched: searches.length, sent: 0, failed: 0 };
+
+  await searches.reduce((previous, search) => previous
+    .then(() => alertSavedSearch(db, transport, search))
+    .then((sent) => {
+      if (sent) counts.sent += 1;
+    })
+    .catch((e) => {
+      console.log(`Unable to alert saved search ${search.id}`, e); // eslint-disable-line
+      counts.failed += 1;
+    }), Promise.resolve());
+
+  return counts;
+};
+
+module.exports = sendSavedSearchAlerts;
+module.exports.validateSavedSearch = validateSavedSearch;
+module.exports.buildSearchProjectsSQL = buildSearchProjectsSQL;
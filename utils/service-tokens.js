@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const getQueryFile = require('./get-query-file');
+
+// import sql query templates
+const insertServiceTokenQuery = getQueryFile('/service-tokens/insert.sql');
+const findServiceTokenQuery = getQueryFile('/service-tokens/show.sql');
+
+// days a token is valid for, unless it's created with another expiry
+const DEFAULT_EXPIRES_IN_DAYS = 365;
+
+// tokens are only stored as hashes, so a leaked table doesn't leak working tokens
+const hashToken = token => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+/**
+ * Creates a service token. The token itself is only returned here, so it must be kept by its creator
+ * @param {Object} db - pg-promise database
+ * @param {Object} options
+ * @param {string} options.name - what the token is for, e.g. the script using it
+ * @param {Array} options.scopes - what the token may do, see middleware/authorize.js
+ * @param {number} options.expiresInDays - days until the token expires, defaults to 365
+ * @returns {Promise<Object>} the token's id, name, scopes and expires_at, and the `token`
+ */
+const createServiceToken = async (db, { name, scopes, expiresInDays = DEFAULT_EXPIRES_IN_DAYS }) => {
+  const token = `zap_${crypto.randomBytes(32).toString('hex')}`;
+  const serviceToken = await db.one(insertServiceTokenQuery, {
+    id: crypto.randomBytes(20).toString('hex'),
+    name,
+    tokenHash: hashToken(token),
+    scopes,
+    expiresInDays: parseInt(expiresInDays) || DEFAULT_EXPIRES_IN_DAYS,
+  });
+
+  return { ...serviceToken, token };
+};
+
+/**
+ * Finds the unexpired service token a token was issued as
+ * @param {Object} db - pg-promise database
+ * @param {string} token
+ * @returns {Promise<Object>} the token's id, name, scopes and expires_at, or null
+ */
+const findServiceToken = (db, token) => db.oneOrNone(findServiceTokenQuery, { tokenHash: hashToken(token) });
+
+module.exports = findServiceToken;
+module.exports.createServiceToken = createServiceToken;
+module.exports.hashToken = hashToken;
@@ -0,0 +1,46 @@
+const NodeCache = require('node-cache');
+const getQueryFile = require('./get-query-file');
+
+// import sql query templates
+const insertRevokedSessionQuery = getQueryFile('/revoked-sessions/insert.sql');
+const findRevokedSessionQuery = getQueryFile('/revoked-sessions/show.sql');
+const purgeRevokedSessionsQuery = getQueryFile('/revoked-sessions/purge.sql');
+
+// default seconds a session's revocation status is cached. Sessions revoked on another dyno
+// are trusted for up to this long
+const DEFAULT_CACHE_TTL = 30;
+
+/**
+ * Creates the list of revoked sessions, kept in the revoked_sessions table and cached in memory
+ * so every request doesn't query it. Lists expose async revoke(sessionId, expiresAt) and isRevoked(sessionId)
+ * @param {Object} db - pg-promise database
+ * @param {Object} options
+ * @param {number} options.cacheTtl - seconds a session's status is cached
+ * @returns {Object}
+ */
+const createSessionRevocations = (db, { cacheTtl } = {}) => {
+  const ttl = parseInt(cacheTtl) || DEFAULT_CACHE_TTL;
+  const cache = new NodeCache({ stdTTL: ttl });
+
+  return {
+    // revokes a session until its login expires, at a unix timestamp
+    async revoke(sessionId, expiresAt) {
+      await db.none(purgeRevokedSessionsQuery);
+      await db.none(insertRevokedSessionQuery, { sessionId, expiresAt });
+
+      cache.set(sessionId, true, Math.max(Math.ceil(expiresAt - (Date.now() / 1000)), ttl));
+    },
+
+    async isRevoked(sessionId) {
+      const cached = cache.get(sessionId);
+      if (cached !== undefined) return cached;
+
+      const { revoked } = await db.one(findRevokedSessionQuery, { sessionId });
+      cache.set(sessionId, revoked);
+
+      return revoked;
+    },
+  };
+};
+
+module.exports = createSessionRevocations;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const getQueryFile = require('./get-query-file');
+const ForbiddenError = require('../errors/forbidden');
+
+// import sql query templates
+const identitiesQuery = getQueryFile('/contacts/identities.sql');
+
+// default seconds a session token is valid for before it must be refreshed
+const DEFAULT_SESSION_TTL = 3600;
+
+/**
+ * Finds the identities a login can act as: the CRM contacts with its email, and the contacts
+ * delegated to it in login_delegations. Only the login's `contactIds` when its identity provider
+ * gives them, or the CRM_IMPOSTER_ID contact when it's set.
+ * @param {Object} db - pg-promise database
+ * @param {Object} login - from an identity provider, see utils/identity-providers.js
+ * @param {string} login.email - email of the login
+ * @param {Array} login.contactIds - contacts the login acts as, instead of those found by its email
+ * @returns {Promise<Array>} identities with their contactId, name, LUP roles and whether they're delegated
+ */
+const findIdentities = async (db, { email, contactIds }) => {
+  const { CRM_IMPOSTER_ID } = process.env;
+  const contacts = await db.any(identitiesQuery, {
+    email,
+    contactIds: CRM_IMPOSTER_ID ? [CRM_IMPOSTER_ID] : (contactIds || null),
+  });
+
+  return contacts.map(({
+    contact_id: contactId,
+    name,
+    roles,
+    delegated,
+  }) => ({
+    contactId,
+    name,
+    roles,
+    delegated,
+  }));
+};
+
+/**
+ * Builds the payload of a session acting as one of its identities
+ * @param {Object} session - the `sid`, `maxExp` and `identities` of a session
+ * @param {string} contactId - the identity to act as, defaults to the first of the login's own
+ * contacts with a LUP role, then its first identity
+ * @returns {Object} the session, with the active `contactId` and its `roles`
+ */
+const actAs = ({ sid, maxExp, identities }, contactId) => {
+  const active = contactId
+    ? identities.find(identity => identity.contactId === contactId)
+    : identities.find(identity => !identity.delegated && identity.roles.length)
+      || identities.find(identity => identity.roles.length)
+      || identities[0];
+
+  if (!active) {
+    throw new ForbiddenError(`Contact ${contactId} isn't one of this login's identities`);
+  }
+
+  return {
+    sid,
+    maxExp,
+    contactId: active.contactId,
+    roles: active.roles,
+    identities,
+  };
+};
+
+/**
+ * Starts a session for a login. Each session has its own id, so it can be revoked
+ * @param {Object} login
+ * @param {number} login.expiresOn - unix timestamp the login expires at, which refreshes can't go past
+ * @param {Array} login.identities - from findIdentities
+ * @returns {Object} the session, acting as the default identity, see actAs
+ */
+const startSession = ({ expiresOn, identities }) => actAs({
+  sid: crypto.randomBytes(20).toString('hex'),
+  maxExp: expiresOn,
+  identities,
+});
+
+/**
+ * Signs a short-lived token for a session, valid for SESSION_TTL seconds or until its login expires.
+ * Signing an existing session refreshes it
+ * @param {Object} session - from startSession or actAs, or a verified token's payload
+ * @returns {Object} the signed `token` and its `exp`
+ */
+const signSession = ({
+  sid,
+  maxExp,
+  contactId,
+  roles,
+  identities,
+}) => {
+  const ttl = parseInt(process.env.SESSION_TTL) || DEFAULT_SESSION_TTL;
+  const exp = Math.min(Math.floor(Date.now() / 1000) + ttl, maxExp);
+  const token = jwt.sign({
+    exp,
+    sid,
+    maxExp,
+    contactId,
+    roles,
+    identities,
+  }, process.env.CRM_SIGNING_SECRET);
+
+  return { token, exp };
+};
+
+/**
+ * Options of the session token cookie. Production cookies are only sent over https. Cookies are
+ * SameSite=Lax, since the API and its frontends share a site, so other sites can't send
+ * cookie-authenticated form POSTs to the API
+ * @param {number} exp - unix timestamp the cookie expires at, a session cookie if it's not given
+ * @returns {Object}
+ */
+const sessionCookieOptions = (exp) => {
+  const production = process.env.NODE_ENV === 'production';
+
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+    ...(exp ? { expires: new Date(exp * 1000) } : {}),
+  };
+};
+
+/**
+ * Sends a response setting the token cookie of a session
+ * @param {Object} res - express response
+ * @param {Object} session - from startSession or actAs, or a verified token's payload
+ * @param {Object} body - response body, which the session's active `contactId`, `roles` and token `exp` are added to
+ */
+const sendSession = (res, session, body) => {
+  const { token, exp } = signSession(session);
+
+  res.cookie('token', token, sessionCookieOptions(exp)).send({
+    ...body,
+    contactId: session.contactId,
+    roles: session.roles,
+    exp,
+  });
+};
+
+module.exports = findIdentities;
+module.exports.startSession = startSession;
+module.exports.actAs = actAs;
+module.exports.signSession = signSession;
+module.exports.sessionCookieOptions = sessionCookieOptions;
+module.exports.sendSession = sendSession;
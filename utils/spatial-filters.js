@@ -0,0 +1,102 @@
+const pgp = require('pg-promise');
+const BadRequestError = require('../errors/bad-request');
+
+// polygons with more vertices than this should be simplified by the client
+const MAX_VERTICES = 10000;
+
+const isLngLat = position => Array.isArray(position)
+  && position.length >= 2
+  && position.every(Number.isFinite)
+  && Math.abs(position[0]) <= 180
+  && Math.abs(position[1]) <= 90;
+
+/**
+ * Parses a `bbox` query param into [minLng, minLat, maxLng, maxLat]
+ * @param {string|Array} bbox - comma-separated string or array of four coordinates
+ * @returns {Array}
+ */
+const parseBbox = (bbox) => {
+  const coordinates = (Array.isArray(bbox) ? bbox : `${bbox}`.split(','))
+    .map(coordinate => parseFloat(coordinate));
+
+  if (coordinates.length !== 4
+    || !isLngLat(coordinates.slice(0, 2))
+    || !isLngLat(coordinates.slice(2))) {
+    throw new BadRequestError('Invalid bbox, must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = coordinates;
+
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new BadRequestError('Invalid bbox, min coordinates must be less than max coordinates');
+  }
+
+  return coordinates;
+};
+
+// checks a polygon's rings are closed lists of at least four valid positions
+const validatePolygon = rings => Array.isArray(rings)
+  && rings.length > 0
+  && rings.every((ring) => {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isLngLat)) return false;
+
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+
+    return first[0] === last[0] && first[1] === last[1];
+  });
+
+/**
+ * Parses a `within` query param into a GeoJSON Polygon or MultiPolygon geometry
+ * @param {string|Object} within - GeoJSON geometry or Feature, or a JSON string of one
+ * @returns {Object} the geometry
+ */
+const parseWithin = (within) => {
+  let geojson = within;
+
+  if (typeof within === 'string') {
+    try {
+      geojson = JSON.parse(within);
+    } catch (e) {
+      throw new BadRequestError('Invalid within, must be GeoJSON');
+    }
+  }
+
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  const { type, coordinates } = geometry || {};
+  const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+
+  if (!['Polygon', 'MultiPolygon'].includes(type)) {
+    throw new BadRequestError('Invalid within, must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  if (!Array.isArray(polygons) || !polygons.length || !polygons.every(validatePolygon)) {
+    throw new BadRequestError('Invalid within, polygon rings must be closed and have at least four [lng, lat] positions');
+  }
+
+  const vertices = polygons.reduce((sum, rings) => sum + rings.reduce((count, ring) => count + ring.length, 0), 0);
+
+  if (vertices > MAX_VERTICES) {
+    throw new BadRequestError(`Invalid within, polygons can have at most ${MAX_VERTICES} vertices`);
+  }
+
+  return { type, coordinates };
+};
+
+/**
+ * Builds the WHERE clause fragments for the bbox and within spatial filters.
+ * Projects match if their polygons intersect the box or shape, like the distance_from_point radius filter.
+ * @param {Object} params
+ * @param {string|Array} params.bbox
+ * @param {string|Object} params.within
+ * @returns {Object} bboxQuery and withinQuery, empty strings when not set
+ */
+const buildSpatialFilters = ({ bbox, within }) => ({
+  bboxQuery: bbox ? pgp.as.format('AND ST_Intersects(c.polygons, ST_MakeEnvelope($1:csv, 4326))', [parseBbox(bbox)]) : '',
+  // self-intersecting shapes drawn on the map are made valid rather than rejected
+  withinQuery: within ? pgp.as.format('AND ST_Intersects(c.polygons, ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)))', [JSON.stringify(parseWithin(within))]) : '',
+});
+
+module.exports = buildSpatialFilters;
+module.exports.parseBbox = parseBbox;
+module.exports.parseWithin = parseWithin;
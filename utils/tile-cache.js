@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const getQueryFile = require('./get-query-file');
+
+const dataVersionQuery = getQueryFile('/helpers/data-version.sql');
+
+/**
+ * Creates an in-memory cache of rendered vector tiles.
+ * Tiles are keyed by the data version of normalized_projects, which is bumped each time
+ * the materialized view is refreshed. When a new version is seen, every cached tile is dropped.
+ * Once the cache holds maxKeys tiles, new tiles aren't cached until others expire.
+ * @param {Object} db - pg-promise database
+ * @param {Object} options
+ * @param {number} options.ttl - seconds a rendered tile is kept
+ * @param {number} options.versionCheckInterval - seconds between data version lookups
+ * @param {number} options.maxKeys - the most tiles kept
+ * @returns {Object}
+ */
+const createTileCache = (db, { ttl = 1800, versionCheckInterval = 30, maxKeys = 5000 } = {}) => {
+  const cache = new NodeCache({ stdTTL: parseInt(ttl), useClones: false });
+  let dataVersion = null;
+  let checkedAt = 0;
+
+  return {
+    // returns the current data version of normalized_projects, flushing the cache when it changes
+    async getVersion() {
+      if (Date.now() - checkedAt < versionCheckInterval * 1000) return dataVersion;
+
+      const { version } = await db.one(dataVersionQuery, { name: 'normalized_projects' });
+      checkedAt = Date.now();
+
+      if (version !== dataVersion) {
+        cache.flushAll();
+        dataVersion = version;
+      }
+
+      return dataVersion;
+    },
+
+    // builds a cache key and matching ETag for a tile of a given data version.
+    // variant identifies the layers and attributes rendered in the tile
+    key(version, tileId, variant, z, x, y) {
+      const key = [version, tileId, variant, z, x, y].join('/');
+      const etag = crypto.createHash('sha1').update(key).digest('hex');
+
+      return { key, etag: `"${etag}"` };
+    },
+
+    get(key) {
+      return cache.get(key);
+    },
+
+    set(key, tile) {
+      if (cache.getStats().keys >= parseInt(maxKeys)) return;
+
+      cache.set(key, tile);
+    },
+  };
+};
+
+module.exports = createTileCache;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const getQueryFile = require('./get-query-file');
+
+// import sql query templates
+const findTileSessionQuery = getQueryFile('/tile-sessions/show.sql');
+const upsertTileSessionQuery = getQueryFile('/tile-sessions/upsert.sql');
+const purgeTileSessionsQuery = getQueryFile('/tile-sessions/purge.sql');
+
+// default session lifetimes, in seconds. in-memory sessions are kept short to bound memory use
+const DEFAULT_TTL = {
+  memory: 3600,
+  postgres: 604800,
+};
+
+/**
+ * Generates a deterministic tile id for a tile query, so identical filter sets share one session
+ * @param {string} tileQuery - SQL that selects the projects to render in tiles
+ * @returns {string}
+ */
+const tileSessionId = tileQuery => crypto
+  .createHash('sha1')
+  .update(tileQuery)
+  .digest('hex')
+  .slice(0, 20);
+
+// stores tile queries in process memory; sessions are lost on restart and not shared between dynos
+const memoryStore = (ttl) => {
+  const cache = new NodeCache({ stdTTL: ttl });
+
+  return {
+    async get(id) {
+      const tileQuery = cache.get(id);
+      if (tileQuery === undefined) return null;
+
+      cache.ttl(id, ttl);
+      return tileQuery;
+    },
+
+    async set(id, tileQuery) {
+      cache.set(id, tileQuery);
+    },
+
+    // node-cache removes expired keys on its own check period
+    purge() {
+      return Promise.resolve();
+    },
+  };
+};
+
+// stores tile queries in the tile_sessions table, so sessions survive restarts and are shared by all dynos
+const postgresStore = (db, ttl) => ({
+  async get(id) {
+    const session = await db.oneOrNone(findTileSessionQuery, { id, ttl });
+
+    return session ? session.tile_query : null;
+  },
+
+  async set(id, tileQuery) {
+    await this.purge();
+    await db.none(upsertTileSessionQuery, { id, tileQuery, ttl });
+  },
+
+  async purge() {
+    await db.none(purgeTileSessionsQuery);
+  },
+});
+
+/**
+ * Creates the tile session store named by type.
+ * Stores expose async get(id), set(id, tileQuery) and purge()
+ * @param {Object} db - pg-promise database
+ * @param {Object} options
+ * @param {string} options.type - one of 'memory' (default) or 'postgres'
+ * @param {number} options.ttl - seconds an unused session is kept
+ * @returns {Object}
+ */
+const createTileSessionStore = (db, { type = 'memory', ttl } = {}) => {
+  if (!DEFAULT_TTL[type]) {
+    throw new Error(`Unknown tile session store ${type}, must be one of ${Object.keys(DEFAULT_TTL).join(', ')}`);
+  }
+
+  const sessionTTL = parseInt(ttl) || DEFAULT_TTL[type];
+
+  if (type === 'postgres') return postgresStore(db, sessionTTL);
+
+  return memoryStore(sessionTTL);
+};
+
+module.exports = createTileSessionStore;
+module.exports.tileSessionId = tileSessionId;
@@ -1,5 +1,6 @@
 /**
- * Lookup map for actiontype codes to description strings
+ * Lookup map for actiontype codes to description strings.
+ * Only actions with these codes are public, see PUBLIC_ACTION_CODES
  */
 const actionTypesLookup = {
   BD: 'Business Improvement Districts',
@@ -88,4 +89,8 @@ const actionTypesLookup = {
 
 const transform = (row) => { row.actiontypes = row.actiontypes ? row.actiontypes.split(';').map(at => actionTypesLookup[at]).join(';') : ''; };
 
+// action codes of the actions shown to the public, the others are internal to DCP
+const PUBLIC_ACTION_CODES = Object.keys(actionTypesLookup);
+
 module.exports = transform;
+module.exports.PUBLIC_ACTION_CODES = PUBLIC_ACTION_CODES;
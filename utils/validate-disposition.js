@@ -0,0 +1,99 @@
+const moment = require('moment');
+const BadRequestError = require('../errors/bad-request');
+
+/**
+ * Lookup map of writable disposition attributes, keyed by the attribute name used in
+ * the JSON:API payload, with the dcp_communityboarddisposition column and value type
+ */
+const DISPOSITION_FIELDS = {
+  dateofpublichearing: { column: 'dcp_dateofpublichearing', type: 'date' },
+  publichearinglocation: { column: 'dcp_publichearinglocation', type: 'string' },
+  dateofvote: { column: 'dcp_dateofvote', type: 'date' },
+  votelocation: { column: 'dcp_votelocation', type: 'string' },
+  votinginfavorrecommendation: { column: 'dcp_votinginfavorrecommendation', type: 'count' },
+  votingagainstrecommendation: { column: 'dcp_votingagainstrecommendation', type: 'count' },
+  votingabstainingonrecommendation: { column: 'dcp_votingabstainingonrecommendation', type: 'count' },
+  totalmembersappointedtotheboard: { column: 'dcp_totalmembersappointedtotheboard', type: 'count' },
+  wasaquorumpresent: { column: 'dcp_wasaquorumpresent', type: 'boolean' },
+  communityboardrecommendation: { column: 'dcp_communityboardrecommendation', type: 'string' },
+  boroughpresidentrecommendation: { column: 'dcp_boroughpresidentrecommendation', type: 'string' },
+  boroughboardrecommendation: { column: 'dcp_boroughboardrecommendation', type: 'string' },
+  consideration: { column: 'dcp_consideration', type: 'string' },
+};
+
+const HEARING_FIELDS = ['dateofpublichearing', 'publichearinglocation', 'consideration'];
+const VOTE_FIELDS = [
+  'dateofvote',
+  'votelocation',
+  'votinginfavorrecommendation',
+  'votingagainstrecommendation',
+  'votingabstainingonrecommendation',
+  'totalmembersappointedtotheboard',
+  'wasaquorumpresent',
+];
+
+/**
+ * Lookup map of the attributes each LUP role may submit. Boards (CB, BB) hold votes,
+ * while the Borough President only issues a recommendation.
+ */
+const ROLE_FIELDS = {
+  CB: [...HEARING_FIELDS, ...VOTE_FIELDS, 'communityboardrecommendation'],
+  BB: [...HEARING_FIELDS, ...VOTE_FIELDS, 'boroughboardrecommendation'],
+  BP: [...HEARING_FIELDS, 'boroughpresidentrecommendation'],
+};
+
+const isValidValue = (type, value) => {
+  // null clears a previously submitted value
+  if (value === null) return true;
+
+  switch (type) {
+    case 'date':
+      return moment(value, moment.ISO_8601, true).isValid();
+    case 'count':
+      return Number.isInteger(value) && value >= 0;
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return typeof value === 'string';
+  }
+};
+
+/**
+ * Validates a disposition's JSON:API attributes against the LUP roles the submitting
+ * contact holds on the disposition's project
+ * @param {Object} attributes - attributes from the request payload
+ * @param {string[]} roles - LUP team member roles ('CB', 'BP', 'BB')
+ * @returns {Object} column/value pairs ready to be written to dcp_communityboarddisposition
+ */
+const validateDisposition = (attributes = {}, roles = []) => {
+  const allowedFields = roles
+    .reduce((acc, role) => acc.concat(ROLE_FIELDS[role] || []), []);
+  const keys = Object.keys(attributes);
+
+  if (!keys.length) {
+    throw new BadRequestError('No disposition attributes to update');
+  }
+
+  return keys.reduce((acc, key) => {
+    const field = DISPOSITION_FIELDS[key];
+    const value = attributes[key];
+
+    if (!field) {
+      throw new BadRequestError(`Unknown disposition attribute ${key}`);
+    }
+
+    if (!allowedFields.includes(key)) {
+      throw new BadRequestError(`Attribute ${key} can not be submitted by LUP role(s) ${roles.join(', ') || 'none'}`);
+    }
+
+    if (!isValidValue(field.type, value)) {
+      throw new BadRequestError(`Invalid value for ${key}: expected ${field.type}`);
+    }
+
+    acc[field.column] = value;
+
+    return acc;
+  }, {});
+};
+
+module.exports = validateDisposition;
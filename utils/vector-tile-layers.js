@@ -0,0 +1,68 @@
+const BadRequestError = require('../errors/bad-request');
+
+/**
+ * Lookup map of tile layers, keyed by the value of the `type` query param
+ */
+const TILE_LAYERS = {
+  centroid: { layerName: 'project-centroids', geomColumn: 'centroid_3857' },
+  polygons: { layerName: 'project-polygons', geomColumn: 'polygons_3857' },
+};
+
+// attributes included on every feature, used for labels, popups and status styling
+const BASE_FIELDS = ['projectid', 'dcp_projectname', 'dcp_publicstatus_simp'];
+
+// attributes that can be requested with the `fields` query param, for data-driven styling
+const OPTIONAL_FIELDS = ['lastmilestonedate', 'dcp_ulurp_nonulurp', 'dcp_ceqrtype', 'dcp_borough'];
+
+// attributes sent when `fields` is not set, matching the original centroid layer
+const DEFAULT_FIELDS = ['lastmilestonedate'];
+
+/**
+ * Parses the `type` and `fields` query params of a vector tile request
+ * - `type` is one of 'centroid' (default), 'polygons', or 'all' for a multi-layer tile
+ * - `fields` is a comma-separated string or array of OPTIONAL_FIELDS
+ * @param {Object} query - request query params
+ * @returns {Object} the tile layers to render, and the attributes to include on their features
+ */
+const getTileLayers = ({ type = 'centroid', fields } = {}) => {
+  let layers;
+
+  if (type === 'all') {
+    layers = [TILE_LAYERS.centroid, TILE_LAYERS.polygons];
+  } else {
+    // any type other than centroid has always returned polygons
+    layers = [type === 'centroid' ? TILE_LAYERS.centroid : TILE_LAYERS.polygons];
+  }
+
+  let requestedFields = DEFAULT_FIELDS;
+
+  if (fields !== undefined) {
+    // nested params, e.g. fields[x]=y, are parsed into objects
+    const isValidType = typeof fields === 'string'
+      || (Array.isArray(fields) && fields.every(field => typeof field === 'string'));
+
+    if (!isValidType) {
+      throw new BadRequestError('Invalid tile fields, must be a comma-separated string or array');
+    }
+
+    requestedFields = (Array.isArray(fields) ? fields : fields.split(','))
+      .map(field => field.trim())
+      .filter(Boolean);
+  }
+
+  const invalidFields = requestedFields.filter(field => !OPTIONAL_FIELDS.includes(field));
+
+  if (invalidFields.length) {
+    throw new BadRequestError(`Invalid tile fields ${invalidFields.join(', ')}, must be one of ${OPTIONAL_FIELDS.join(', ')}`);
+  }
+
+  return {
+    layers,
+    fields: [
+      ...BASE_FIELDS,
+      ...OPTIONAL_FIELDS.filter(field => requestedFields.includes(field)),
+    ],
+  };
+};
+
+module.exports = getTileLayers;